@@ -0,0 +1,197 @@
+/**
+ * Bundle Scan
+ * Scans built output (`dist/`) and attributes each finding to its original source through the bundle's
+ * source map, so features added by bundler helpers and bundled dependencies are caught too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { scanBundle, getSourceMappingUrl } = require('baseline-fixer-core');
+
+const BUNDLE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.css'];
+
+// Labels for findings whose original source isn't the project's own code.
+const ORIGIN_LABELS = {
+  dependency: 'dependency',
+  bundler: 'bundler runtime',
+};
+
+/**
+ * Recursively finds the JS and CSS files of a build output directory
+ * @param {string} dir - Output directory
+ * @returns {string[]}
+ */
+function findBundleFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules') files.push(...findBundleFiles(fullPath));
+    } else if (BUNDLE_EXTENSIONS.includes(path.extname(entry.name))) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Reads the source map of a bundle: the file or `data:` URL named by its `sourceMappingURL` comment,
+ * or else `<bundle>.map` next to it
+ * @param {string} bundlePath - Bundle file
+ * @param {string} content - Bundle content
+ * @returns {{ text: string, mapPath: string|null }|null} `mapPath` is null for inline maps
+ */
+function readSourceMap(bundlePath, content) {
+  const url = getSourceMappingUrl(content);
+  if (url && url.startsWith('data:')) {
+    const comma = url.indexOf(',');
+    const data = url.slice(comma + 1);
+    const text = url.slice(0, comma).endsWith(';base64')
+      ? Buffer.from(data, 'base64').toString('utf-8')
+      : decodeURIComponent(data);
+    return { text, mapPath: null };
+  }
+  const candidates = [url && !/^[a-z]+:\/\//i.test(url) ? path.resolve(path.dirname(bundlePath), decodeURI(url)) : null, `${bundlePath}.map`];
+  for (const mapPath of candidates) {
+    if (mapPath && fs.existsSync(mapPath)) {
+      return { text: fs.readFileSync(mapPath, 'utf-8'), mapPath };
+    }
+  }
+  return null;
+}
+
+/**
+ * Turns the source path recorded in a map into a path relative to the working directory. Sources are relative
+ * to the map; when that file doesn't exist (webpack records paths relative to its context), the recorded path is kept.
+ */
+function resolveOriginalSource(source, mapDir) {
+  if (/^[a-z]+:/i.test(source) || path.isAbsolute(source)) return source;
+  const resolved = path.resolve(mapDir, source);
+  return fs.existsSync(resolved) ? path.relative(process.cwd(), resolved) : source;
+}
+
+/**
+ * Scans every bundle in a build output directory, or a single bundle file
+ * @param {string} targetPath - Output directory or bundle file
+ * @param {Object} [scanOptions] - Options passed to the core scanner (`targets`, `minConfidence`)
+ * @returns {Promise<Object>} One report per bundle, with bundle and original locations
+ */
+async function scanBundles(targetPath, scanOptions = {}) {
+  const isFile = fs.statSync(targetPath).isFile();
+  const files = isFile ? [targetPath] : findBundleFiles(targetPath);
+  const baseDir = isFile ? path.dirname(targetPath) : targetPath;
+
+  const bundles = [];
+  const origins = { source: 0, dependency: 0, bundler: 0, unmapped: 0 };
+  let totalIssues = 0;
+  let totalGuarded = 0;
+
+  for (const filePath of files) {
+    try {
+      const content = fs.readFileSync(filePath, 'utf-8');
+      const sourceMap = readSourceMap(filePath, content);
+      const language = path.extname(filePath) === '.css' ? 'css' : 'javascript';
+      const findings = await scanBundle(content, language, sourceMap ? sourceMap.text : undefined, { ...scanOptions, filePath });
+      if (findings.length === 0) continue;
+
+      const mapDir = sourceMap && sourceMap.mapPath ? path.dirname(sourceMap.mapPath) : path.dirname(filePath);
+      for (const finding of findings) {
+        if (finding.original) {
+          finding.original.source = resolveOriginalSource(finding.original.source, mapDir);
+        }
+        if (!finding.guarded) {
+          origins[finding.original ? finding.original.origin : 'unmapped']++;
+        }
+      }
+      const guarded = findings.filter(finding => finding.guarded).length;
+      totalIssues += findings.length - guarded;
+      totalGuarded += guarded;
+      bundles.push({
+        path: path.relative(baseDir, filePath),
+        filePath: path.relative(process.cwd(), filePath),
+        sourceMap: sourceMap ? (sourceMap.mapPath ? path.relative(baseDir, sourceMap.mapPath) : 'inline') : null,
+        findings,
+      });
+    } catch (error) {
+      console.error(`[Bundle Scan] Error scanning ${filePath}: ${error.message}`);
+    }
+  }
+
+  return { totalIssues, totalGuarded, origins, bundles, totalFiles: files.length };
+}
+
+/**
+ * Describes where a bundle finding comes from: `src/app.ts:12:4`, `node_modules/x/index.js:3:1 (dependency)`
+ */
+function describeOriginal(finding) {
+  const { original } = finding;
+  if (!original) return 'no source mapping, likely bundler-generated';
+  const label = ORIGIN_LABELS[original.origin] ? ` (${ORIGIN_LABELS[original.origin]})` : '';
+  return `${original.source}:${original.line}:${original.column}${label}`;
+}
+
+/**
+ * Prints the bundle scan and returns the exit code
+ * @param {Object} results - Results from scanBundles
+ * @param {Object} colors - ANSI color codes
+ * @returns {number} 1 if any bundle contains an issue
+ */
+function formatBundleReport(results, colors) {
+  const { totalIssues, totalGuarded, origins, bundles, totalFiles } = results;
+
+  console.log(`${colors.bold}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}\n`);
+
+  if (totalIssues === 0) {
+    console.log(`${colors.green}${colors.bold}✓ No Baseline issues found in the build output!${colors.reset}`);
+    if (totalGuarded > 0) {
+      console.log(`${colors.cyan}${totalGuarded} guarded use(s) of newer features are behind feature checks.${colors.reset}`);
+    }
+    console.log(`Scanned ${totalFiles} bundle file(s).\n`);
+    return 0;
+  }
+
+  const guardedSummary = totalGuarded > 0 ? ` (plus ${totalGuarded} guarded use(s))` : '';
+  console.log(`${colors.red}${colors.bold}✗ Found ${totalIssues} Baseline issue(s) in ${bundles.length} bundle file(s)${guardedSummary}${colors.reset}`);
+  console.log(`From your sources: ${origins.source}, dependencies: ${origins.dependency}, bundler runtime: ${origins.bundler}, unmapped: ${origins.unmapped}\n`);
+
+  for (const { path: bundlePath, sourceMap, findings } of bundles) {
+    const mapInfo = sourceMap ? `source map: ${sourceMap}` : 'no source map';
+    console.log(`${colors.bold}📦 ${bundlePath}${colors.reset} (${mapInfo})`);
+    for (const finding of findings) {
+      const confidence = finding.confidence && finding.confidence !== 'high' ? ` (${finding.confidence} confidence)` : '';
+      const color = finding.guarded ? colors.cyan : colors.yellow;
+      const original = sourceMap ? describeOriginal(finding) : 'no source map';
+      console.log(`  ${color}Line ${finding.line}:${finding.column}${colors.reset} → ${original} - ${finding.message}${confidence}`);
+    }
+    console.log('');
+  }
+
+  return 1;
+}
+
+/**
+ * Generates GitHub Actions annotations. Findings from the project's own sources are annotated on the original file,
+ * everything else on the bundle, with the original location in the message.
+ * @param {Object} results - Results from scanBundles
+ */
+function generateBundleAnnotations(results) {
+  for (const { filePath, findings } of results.bundles) {
+    for (const finding of findings) {
+      const isIssue = !finding.guarded;
+      const level = isIssue && (!finding.confidence || finding.confidence === 'high') ? 'warning' : 'notice';
+      const { original } = finding;
+      if (original && original.origin === 'source' && fs.existsSync(original.source)) {
+        console.log(`::${level} file=${original.source},line=${original.line},col=${original.column}::${finding.message} (in ${filePath}:${finding.line}:${finding.column})`);
+      } else {
+        const from = original ? ` (from ${describeOriginal(finding)})` : '';
+        console.log(`::${level} file=${filePath},line=${finding.line},col=${finding.column}::${finding.message}${from}`);
+      }
+    }
+  }
+}
+
+module.exports = {
+  scanBundles,
+  formatBundleReport,
+  generateBundleAnnotations,
+};
@@ -6,10 +6,17 @@
 const fs = require('fs').promises;
 const path = require('path');
 const {
-  getMultipleFeaturesData,
-  calculateCompatibility,
-  calculateCodebaseCompatibility
-} = require('./web-platform-api');
+  resolveFeatureIdentity,
+  getFeatureSupport,
+  scoreFeatureSupport,
+  summarizeCompatibility,
+  getGlobalUsage,
+  getAffectedShare,
+  formatAffectedShare,
+  describeAffectedShare,
+  isIssue
+} = require('baseline-fixer-core');
+const { getMultipleFeaturesData } = require('./web-platform-api');
 const {
   generateExecutiveSummary,
   generateRiskAssessment,
@@ -17,7 +24,18 @@ const {
 } = require('./openai-report-generator');
 
 /**
- * Extract unique feature IDs from scan results
+ * Returns the webstatus.dev ID of a finding's feature
+ * (e.g., "backdrop-filter" for "css.properties.backdrop-filter", "array-at" for "javascript.builtins.Array.at")
+ * @param {Object} finding - A scanner finding
+ * @returns {string|undefined} Undefined when the feature isn't part of web-features
+ */
+function getWebstatusId(finding) {
+  // Results saved by older versions don't carry the ID, so resolve it from the BCD key.
+  return finding.webstatusId || resolveFeatureIdentity(finding.featureId).webstatusId;
+}
+
+/**
+ * Extract unique webstatus.dev feature IDs from scan results
  * @param {Object} scanResults - Results from baseline scanner
  * @returns {Set<string>} Unique feature IDs
  */
@@ -26,18 +44,10 @@ function extractFeatureIds(scanResults) {
   
   scanResults.fileReports.forEach(fileReport => {
     fileReport.findings.forEach(finding => {
-      // Extract base feature ID (e.g., "backdrop-filter" from "css.properties.backdrop-filter")
-      const parts = finding.featureId.split('.');
-      let baseId = parts[parts.length - 1];
-      
-      // Convert to Web Platform API format
-      // css.properties.backdrop-filter -> backdrop-filter
-      // javascript.builtins.Array.at -> array-at
-      if (parts[0] === 'javascript' && parts[1] === 'builtins') {
-        baseId = `${parts[2]}-${parts[3]}`.toLowerCase();
+      const webstatusId = getWebstatusId(finding);
+      if (webstatusId) {
+        featureIds.add(webstatusId);
       }
-      
-      featureIds.add(baseId);
     });
   });
   
@@ -47,9 +57,10 @@ function extractFeatureIds(scanResults) {
 /**
  * Enrich findings with Web Platform API data
  * @param {Object} scanResults - Results from baseline scanner
+ * @param {Object} [usage] - Browser usage shares for the affected-sessions estimate (default: caniuse global usage)
  * @returns {Promise<Object>} Enriched scan results with compatibility data
  */
-async function enrichWithCompatibilityData(scanResults) {
+async function enrichWithCompatibilityData(scanResults, usage = getGlobalUsage()) {
   console.log('[Compatibility Report] Extracting feature IDs...');
   const featureIds = extractFeatureIds(scanResults);
   
@@ -58,26 +69,31 @@ async function enrichWithCompatibilityData(scanResults) {
   
   console.log(`[Compatibility Report] Retrieved data for ${featuresData.size} features`);
   
-  // Calculate overall compatibility
-  const compatibility = calculateCodebaseCompatibility(featuresData);
+  // Browser support is computed offline from the bundled compat data, against each file's targets.
+  // The API only adds feature names and spec links.
+  const supports = new Map(); // "featureId|targetQuery" -> support
+  // Only issues count towards the scores, like in the scan totals.
+  const issueSupports = new Map();
   
   // Enrich each finding with compatibility data
   const enrichedFileReports = scanResults.fileReports.map(fileReport => ({
     ...fileReport,
     findings: fileReport.findings.map(finding => {
-      const parts = finding.featureId.split('.');
-      let baseId = parts[parts.length - 1];
-      
-      if (parts[0] === 'javascript' && parts[1] === 'builtins') {
-        baseId = `${parts[2]}-${parts[3]}`.toLowerCase();
+      const webstatusId = getWebstatusId(finding);
+      const featureData = webstatusId ? featuresData.get(webstatusId) : undefined;
+      const supportKey = `${finding.featureId}|${fileReport.targetQuery || ''}`;
+      if (!supports.has(supportKey)) {
+        supports.set(supportKey, getFeatureSupport(finding.featureId, fileReport.targetQuery));
+      }
+      const support = supports.get(supportKey);
+      if (isIssue(finding)) {
+        issueSupports.set(supportKey, support);
       }
-      
-      const featureData = featuresData.get(baseId);
-      const compat = calculateCompatibility(featureData);
       
       return {
         ...finding,
-        compatibility: compat,
+        compatibility: { ...scoreFeatureSupport(support), affectedShare: getAffectedShare([support], usage) },
+        support,
         featureData: featureData ? {
           name: featureData.name,
           baseline: featureData.baseline,
@@ -87,6 +103,13 @@ async function enrichWithCompatibilityData(scanResults) {
     })
   }));
   
+  // Calculate overall compatibility. The affected share counts each session once, however many features it misses.
+  const compatibility = {
+    ...summarizeCompatibility(Array.from(issueSupports.values())),
+    affectedShare: getAffectedShare(Array.from(issueSupports.values()), usage),
+    usageSource: usage.source
+  };
+  
   return {
     ...scanResults,
     fileReports: enrichedFileReports,
@@ -137,6 +160,8 @@ function groupFindingsByFeature(enrichedResults) {
   grouped.sort((a, b) => {
     const priorityDiff = priority[a.status] - priority[b.status];
     if (priorityDiff !== 0) return priorityDiff;
+    const shareDiff = b.compatibility.affectedShare - a.compatibility.affectedShare;
+    if (shareDiff !== 0) return shareDiff; // Then by sessions affected
     return b.count - a.count; // Then by usage count
   });
   
@@ -167,7 +192,7 @@ function generateMarkdownReport(enrichedResults, aiInsights = {}) {
     report += `${aiInsights.executiveSummary}\n\n`;
   } else {
     report += `Your codebase has **${totalIssues} compatibility issues** across ${fileReports.length} files. `;
-    report += `The overall browser compatibility score is **${compatibility.overall}%**. `;
+    report += `The overall browser compatibility score is **${compatibility.overall}%**, and together the features found break for ${formatAffectedShare(compatibility.affectedShare)} of sessions (${compatibility.usageSource}). `;
     report += `${breakdown.limited} features have limited browser support and require immediate attention.\n\n`;
   }
   
@@ -180,6 +205,7 @@ function generateMarkdownReport(enrichedResults, aiInsights = {}) {
   report += `├─ Safari:   ${'█'.repeat(Math.floor(compatibility.safari / 5))}${'░'.repeat(20 - Math.floor(compatibility.safari / 5))} ${compatibility.safari}%\n`;
   report += `└─ Edge:     ${'█'.repeat(Math.floor(compatibility.edge / 5))}${'░'.repeat(20 - Math.floor(compatibility.edge / 5))} ${compatibility.edge}%\n`;
   report += `\`\`\`\n\n`;
+  report += `**Users affected:** ${formatAffectedShare(compatibility.affectedShare)} of sessions, based on ${compatibility.usageSource}.\n\n`;
   
   // Baseline Status Breakdown
   report += `## 📈 Baseline Status Distribution\n\n`;
@@ -209,7 +235,8 @@ function generateMarkdownReport(enrichedResults, aiInsights = {}) {
     criticalIssues.forEach((issue, index) => {
       report += `### ${index + 1}. \`${issue.feature}\` (${issue.status})\n\n`;
       report += `**Browser Compatibility:** Overall ${issue.compatibility.overall}%\n`;
-      report += `- Chrome: ${issue.compatibility.chrome}% | Firefox: ${issue.compatibility.firefox}% | Safari: ${issue.compatibility.safari}% | Edge: ${issue.compatibility.edge}%\n\n`;
+      report += `- Chrome: ${issue.compatibility.chrome}% | Firefox: ${issue.compatibility.firefox}% | Safari: ${issue.compatibility.safari}% | Edge: ${issue.compatibility.edge}%\n`;
+      report += `- Audience: ${describeAffectedShare(issue.compatibility.affectedShare)}\n\n`;
       report += `**Usage:** Found in ${issue.fileCount} file(s), ${issue.count} occurrence(s)\n\n`;
       report += `**Files:**\n`;
       issue.files.slice(0, 5).forEach(file => {
@@ -230,10 +257,10 @@ function generateMarkdownReport(enrichedResults, aiInsights = {}) {
   const newlyFeatures = groupedFindings.filter(f => f.status === 'newly').slice(0, 10);
   if (newlyFeatures.length > 0) {
     report += `These features are available in modern browsers but should have fallbacks:\n\n`;
-    report += `| Feature | Compatibility | Files | Auto-Fix |\n`;
-    report += `|---------|---------------|-------|----------|\n`;
+    report += `| Feature | Compatibility | Sessions Affected | Files | Auto-Fix |\n`;
+    report += `|---------|---------------|-------------------|-------|----------|\n`;
     newlyFeatures.forEach(issue => {
-      report += `| \`${issue.feature}\` | ${issue.compatibility.overall}% | ${issue.fileCount} | ${issue.autoFixable ? '✅' : '❌'} |\n`;
+      report += `| \`${issue.feature}\` | ${issue.compatibility.overall}% | ${formatAffectedShare(issue.compatibility.affectedShare)} | ${issue.fileCount} | ${issue.autoFixable ? '✅' : '❌'} |\n`;
     });
     report += `\n`;
   }
@@ -260,11 +287,11 @@ function generateMarkdownReport(enrichedResults, aiInsights = {}) {
   // Full Feature List
   report += `## 📋 Complete Feature List\n\n`;
   report += `<details>\n<summary>Click to expand all ${groupedFindings.length} features</summary>\n\n`;
-  report += `| Feature | Status | Compatibility | Files | Occurrences |\n`;
-  report += `|---------|--------|---------------|-------|-------------|\n`;
+  report += `| Feature | Status | Compatibility | Sessions Affected | Files | Occurrences |\n`;
+  report += `|---------|--------|---------------|-------------------|-------|-------------|\n`;
   groupedFindings.forEach(issue => {
     const statusIcon = issue.status === 'widely' ? '✅' : issue.status === 'newly' ? '⚠️' : '❌';
-    report += `| ${statusIcon} \`${issue.feature}\` | ${issue.status} | ${issue.compatibility.overall}% | ${issue.fileCount} | ${issue.count} |\n`;
+    report += `| ${statusIcon} \`${issue.feature}\` | ${issue.status} | ${issue.compatibility.overall}% | ${formatAffectedShare(issue.compatibility.affectedShare)} | ${issue.fileCount} | ${issue.count} |\n`;
   });
   report += `\n</details>\n\n`;
   
@@ -280,13 +307,14 @@ function generateMarkdownReport(enrichedResults, aiInsights = {}) {
  * Generate complete compatibility report
  * @param {Object} scanResults - Raw scan results
  * @param {string} [openaiApiKey] - OpenAI API key (optional)
+ * @param {Object} [usage] - Browser usage shares, e.g. from the project's analytics (default: caniuse global usage)
  * @returns {Promise<{markdown: string, json: Object}>}
  */
-async function generateCompatibilityReport(scanResults, openaiApiKey = null) {
+async function generateCompatibilityReport(scanResults, openaiApiKey = null, usage = getGlobalUsage()) {
   console.log('[Compatibility Report] Starting report generation...');
   
   // Enrich with Web Platform API data
-  const enrichedResults = await enrichWithCompatibilityData(scanResults);
+  const enrichedResults = await enrichWithCompatibilityData(scanResults, usage);
   
   console.log(`[Compatibility Report] Compatibility score: ${enrichedResults.compatibility.overall}%`);
   
@@ -0,0 +1,280 @@
+/**
+ * Dependency Audit
+ * Scans the published entry files of a project's runtime dependencies and reports which package
+ * introduces which non-Baseline feature. Results are cached per package version.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { scanCode, resolveTarget, isIssue, getCompatDataVersion } = require('baseline-fixer-core');
+const { version: CORE_VERSION } = require('baseline-fixer-core/package.json');
+
+// Findings change with the scanner and with the compat data it checks against.
+const CACHE_VERSION = `${CORE_VERSION}|${getCompatDataVersion()}`;
+
+const CACHE_FILE = path.join('node_modules', '.cache', 'baseline-sentinel', 'dependencies.json');
+
+// Bundled entry files can be huge; past this size they are skipped rather than parsed.
+const MAX_ENTRY_SIZE = 2 * 1024 * 1024;
+
+// `exports` conditions in the order a browser bundler picks them.
+const EXPORT_CONDITIONS = ['browser', 'import', 'module', 'default', 'require'];
+
+/**
+ * Determines the scanner language of a published file
+ * @param {string} filePath - Entry file
+ * @returns {string|null}
+ */
+function getEntryLanguage(filePath) {
+  const ext = path.extname(filePath);
+  if (ext === '.js' || ext === '.mjs' || ext === '.cjs') return 'javascript';
+  if (ext === '.css') return 'css';
+  return null;
+}
+
+/**
+ * Finds the installed directory of a package by walking up the node_modules folders from the project
+ * @param {string} name - Package name
+ * @param {string} projectDir - Directory of the project's package.json
+ * @returns {string|null}
+ */
+function findPackageDir(name, projectDir) {
+  let dir = path.resolve(projectDir);
+  while (true) {
+    const candidate = path.join(dir, 'node_modules', name);
+    if (fs.existsSync(path.join(candidate, 'package.json'))) {
+      return fs.realpathSync(candidate);
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Picks the file an `exports` entry points to for a browser build
+ * @param {string|Array|Object} value - The `exports` value (or the value of its "." entry)
+ * @returns {string|null}
+ */
+function resolveExport(value) {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const resolved = resolveExport(item);
+      if (resolved) return resolved;
+    }
+    return null;
+  }
+  if (value && typeof value === 'object') {
+    if ('.' in value) return resolveExport(value['.']);
+    for (const condition of EXPORT_CONDITIONS) {
+      if (condition in value) {
+        const resolved = resolveExport(value[condition]);
+        if (resolved) return resolved;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Lists the published entry files of a package: `exports["."]`, `browser`, `module`, `main` and `style`
+ * @param {string} packageDir - Installed package directory
+ * @param {Object} manifest - The package's package.json
+ * @returns {string[]} Paths relative to the package directory
+ */
+function getEntryFiles(packageDir, manifest) {
+  const candidates = [
+    manifest.exports ? resolveExport(manifest.exports) : null,
+    typeof manifest.browser === 'string' ? manifest.browser : null,
+    manifest.module,
+    manifest.main || 'index.js',
+    manifest.style,
+  ];
+  const entries = new Set();
+  for (const candidate of candidates) {
+    if (typeof candidate !== 'string') continue;
+    // `main` may omit the extension ("lib/index")
+    for (const file of [candidate, `${candidate}.js`, path.join(candidate, 'index.js')]) {
+      const fullPath = path.join(packageDir, file);
+      if (fs.existsSync(fullPath) && fs.statSync(fullPath).isFile() && getEntryLanguage(fullPath)) {
+        entries.add(path.relative(packageDir, fullPath));
+        break;
+      }
+    }
+  }
+  return [...entries];
+}
+
+/**
+ * Loads the audit cache. Entries from another scanner or compat data version are dropped, since findings may have changed.
+ * @param {string} projectDir - Project directory
+ * @returns {{ version: string, packages: Object }}
+ */
+function loadCache(projectDir) {
+  try {
+    const cache = JSON.parse(fs.readFileSync(path.join(projectDir, CACHE_FILE), 'utf-8'));
+    if (cache.version === CACHE_VERSION && cache.packages) return cache;
+  } catch (error) {
+    // No cache yet, or an unreadable one
+  }
+  return { version: CACHE_VERSION, packages: {} };
+}
+
+function saveCache(projectDir, cache) {
+  try {
+    const cachePath = path.join(projectDir, CACHE_FILE);
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, JSON.stringify(cache), 'utf-8');
+  } catch (error) {
+    console.warn(`[Dependency Audit] Could not write cache: ${error.message}`);
+  }
+}
+
+/**
+ * Scans the entry files of one installed package
+ * @returns {Promise<{ entries: string[], findings: Object[] }>}
+ */
+async function scanPackage(packageDir, manifest, scanOptions) {
+  const entries = getEntryFiles(packageDir, manifest);
+  const findings = [];
+  for (const entry of entries) {
+    const fullPath = path.join(packageDir, entry);
+    if (fs.statSync(fullPath).size > MAX_ENTRY_SIZE) {
+      console.warn(`[Dependency Audit] Skipping ${manifest.name}/${entry}: larger than ${MAX_ENTRY_SIZE / 1024 / 1024} MB`);
+      continue;
+    }
+    const content = fs.readFileSync(fullPath, 'utf-8');
+    const entryFindings = await scanCode(content, getEntryLanguage(fullPath), { ...scanOptions, filePath: fullPath });
+    findings.push(...entryFindings.map(finding => ({ ...finding, file: entry })));
+  }
+  return { entries, findings };
+}
+
+/**
+ * Audits the runtime dependencies (`dependencies` in package.json) of a project
+ * @param {string} projectDir - Directory containing the project's package.json
+ * @param {Object} [scanOptions] - Options passed to the core scanner (`targets`, `minConfidence`)
+ * @returns {Promise<Object>} One report per dependency, with the features it introduces
+ */
+async function auditDependencies(projectDir, scanOptions = {}) {
+  const manifestPath = path.join(projectDir, 'package.json');
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`No package.json found in ${projectDir}`);
+  }
+  const { dependencies = {} } = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  const cache = loadCache(projectDir);
+  // Findings depend on the targets, so they are part of the cache key.
+  const optionsKey = `${resolveTarget(scanOptions.targets).query}|${scanOptions.minConfidence || 'low'}`;
+
+  const reports = [];
+  const missing = [];
+  const installed = new Set(); // name@version of every audited package
+  let totalIssues = 0;
+  let cachedCount = 0;
+
+  for (const name of Object.keys(dependencies)) {
+    const packageDir = findPackageDir(name, projectDir);
+    if (!packageDir) {
+      missing.push(name);
+      continue;
+    }
+    const manifest = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf-8'));
+    installed.add(`${name}@${manifest.version}`);
+    const cacheKey = `${name}@${manifest.version}|${optionsKey}`;
+
+    let result = cache.packages[cacheKey];
+    if (result) {
+      cachedCount++;
+    } else {
+      try {
+        result = await scanPackage(packageDir, manifest, scanOptions);
+      } catch (error) {
+        console.error(`[Dependency Audit] Error scanning ${name}: ${error.message}`);
+        continue;
+      }
+      cache.packages[cacheKey] = result;
+    }
+
+    totalIssues += result.findings.filter(isIssue).length;
+    reports.push({ name, version: manifest.version, entries: result.entries, findings: result.findings });
+  }
+
+  // Drop versions that are no longer installed; entries for other targets of installed versions stay.
+  for (const cacheKey of Object.keys(cache.packages)) {
+    if (!installed.has(cacheKey.slice(0, cacheKey.indexOf('|')))) delete cache.packages[cacheKey];
+  }
+  saveCache(projectDir, cache);
+  return { totalIssues, dependencies: reports, missing, cachedCount };
+}
+
+/**
+ * Prints the dependency audit and returns the exit code
+ * @param {Object} results - Results from auditDependencies
+ * @param {Object} colors - ANSI color codes
+ * @returns {number} 1 if any dependency introduces an issue
+ */
+function formatDependencyReport(results, colors) {
+  const { totalIssues, dependencies, missing, cachedCount } = results;
+
+  console.log(`${colors.bold}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}\n`);
+  console.log(`Audited ${dependencies.length} dependenc${dependencies.length === 1 ? 'y' : 'ies'} (${cachedCount} from cache).`);
+  if (missing.length > 0) {
+    console.log(`${colors.yellow}Not installed, skipped: ${missing.join(', ')}${colors.reset}`);
+  }
+  console.log('');
+
+  const offenders = dependencies.filter(dependency => dependency.findings.length > 0);
+  if (offenders.length === 0) {
+    console.log(`${colors.green}${colors.bold}✓ No dependency introduces non-Baseline features!${colors.reset}\n`);
+    return 0;
+  }
+
+  for (const { name, version, findings } of offenders) {
+    // One line per feature; a bundle may use the same API hundreds of times.
+    const byFeature = new Map();
+    for (const finding of findings) {
+      if (!byFeature.has(finding.featureId)) byFeature.set(finding.featureId, []);
+      byFeature.get(finding.featureId).push(finding);
+    }
+    console.log(`${colors.bold}📦 ${name}@${version}${colors.reset} introduces ${byFeature.size} feature(s)`);
+    for (const uses of byFeature.values()) {
+      const [first] = uses;
+      const color = isIssue(first) ? colors.yellow : colors.cyan;
+      const confidence = first.confidence && first.confidence !== 'high' ? ` (${first.confidence} confidence)` : '';
+      const more = uses.length > 1 ? ` (+${uses.length - 1} more)` : '';
+      console.log(`  ${color}${first.file}:${first.line}:${first.column}${colors.reset} - ${first.message}${confidence}${more}`);
+    }
+    console.log('');
+  }
+
+  if (totalIssues === 0) {
+    console.log(`${colors.green}${colors.bold}✓ Dependency features are all guarded or handled by the build.${colors.reset}\n`);
+    return 0;
+  }
+  const failing = offenders.filter(({ findings }) => findings.some(isIssue)).length;
+  console.log(`${colors.red}${colors.bold}✗ ${failing} dependenc${failing === 1 ? 'y introduces' : 'ies introduce'} ${totalIssues} Baseline issue(s)${colors.reset}\n`);
+  return 1;
+}
+
+/**
+ * Generates GitHub Actions annotations on the dependency's line in package.json
+ * @param {Object} results - Results from auditDependencies
+ * @param {string} projectDir - Project directory
+ */
+function generateDependencyAnnotations(results, projectDir) {
+  const manifestLines = fs.readFileSync(path.join(projectDir, 'package.json'), 'utf-8').split('\n');
+  for (const { name, version, findings } of results.dependencies) {
+    const issues = findings.filter(isIssue);
+    if (issues.length === 0) continue;
+    const line = manifestLines.findIndex(text => text.includes(`"${name}"`)) + 1 || 1;
+    const features = [...new Set(issues.map(finding => finding.featureId))];
+    console.log(`::warning file=package.json,line=${line}::${name}@${version} introduces non-Baseline features: ${features.join(', ')}`);
+  }
+}
+
+module.exports = {
+  auditDependencies,
+  formatDependencyReport,
+  generateDependencyAnnotations,
+};
@@ -7,8 +7,20 @@
 
 const fs = require('fs');
 const path = require('path');
-const { scanCode } = require('baseline-fixer-core');
+const { parseArgs } = require('util');
+const {
+  scanCode,
+  resolveTarget,
+  describeTarget,
+  findProjectTargets,
+  getFileScanOptions,
+  isIssue,
+  parseUsageData,
+  CONFIDENCE_LEVELS,
+} = require('baseline-fixer-core');
 const { generateCompatibilityReport, saveReports } = require('./compatibility-report-generator');
+const { auditDependencies, formatDependencyReport, generateDependencyAnnotations } = require('./dependency-audit');
+const { scanBundles, formatBundleReport, generateBundleAnnotations } = require('./bundle-scan');
 
 // ANSI color codes for terminal output
 const colors = {
@@ -23,7 +35,7 @@ const colors = {
 /**
  * Recursively finds all supported files in a directory
  */
-function findFiles(dir, extensions = ['.css', '.js', '.ts', '.tsx', '.jsx']) {
+function findFiles(dir, extensions = ['.css', '.scss', '.sass', '.less', '.js', '.ts', '.tsx', '.jsx', '.vue', '.svelte', '.astro']) {
   const results = [];
   const items = fs.readdirSync(dir, { withFileTypes: true });
 
@@ -53,17 +65,32 @@ function findFiles(dir, extensions = ['.css', '.js', '.ts', '.tsx', '.jsx']) {
 function getLanguageFromPath(filePath) {
   const ext = path.extname(filePath);
   if (ext === '.css') return 'css';
+  if (ext === '.scss' || ext === '.sass' || ext === '.less') return ext.slice(1);
   if (ext === '.ts' || ext === '.tsx') return 'typescript';
   if (ext === '.js' || ext === '.jsx') return 'javascript';
+  if (ext === '.vue' || ext === '.svelte' || ext === '.astro') return ext.slice(1);
   return null;
 }
 
 /**
  * Scans all files in the target directory or a single file
+ * @param {string} targetPath - Directory or file to scan
+ * @param {Object} [scanOptions] - Options passed to the core scanner (e.g. `targets`)
  */
-async function scanDirectory(targetPath) {
+async function scanDirectory(targetPath, scanOptions = {}) {
   console.log(`${colors.cyan}${colors.bold}Baseline Sentinel - CI Scanner${colors.reset}`);
-  console.log(`${colors.cyan}Scanning: ${targetPath}${colors.reset}\n`);
+  console.log(`${colors.cyan}Scanning: ${targetPath}${colors.reset}`);
+  if (scanOptions.targets) {
+    console.log(`${colors.cyan}Targets: ${describeTarget(resolveTarget(scanOptions.targets))}${colors.reset}\n`);
+  } else {
+    console.log(`${colors.cyan}Targets: project browserslist config (default: ${describeTarget(resolveTarget())})${colors.reset}\n`);
+  }
+  if (scanOptions.typeAware) {
+    console.log(`${colors.cyan}Type-aware member detection enabled for TypeScript files${colors.reset}\n`);
+  }
+  if (scanOptions.minConfidence && scanOptions.minConfidence !== 'low') {
+    console.log(`${colors.cyan}Minimum confidence: ${scanOptions.minConfidence}${colors.reset}\n`);
+  }
 
   const stat = fs.statSync(targetPath);
   let files = [];
@@ -80,26 +107,45 @@ async function scanDirectory(targetPath) {
   console.log(`Found ${files.length} file(s) to scan.\n`);
 
   let totalIssues = 0;
+  let totalGuarded = 0; // Uses behind a feature check (@supports, JS feature detection), reported but not failing the run
+  let totalHandledByBuild = 0; // Syntax and CSS the build toolchain rewrites for the targets, reported but not failing the run
   const fileReports = [];
   let scannedCount = 0;
+  const targetConfigs = new Map(); // configPath -> target description
+  const buildConfigs = new Map(); // configPath -> Set of tool names
 
   for (const filePath of files) {
     const language = getLanguageFromPath(filePath);
     if (!language) continue;
 
+    scannedCount++;
+    if (files.length > 10 && scannedCount % 10 === 0) {
+      process.stdout.write(`\rScanning... ${scannedCount}/${files.length}`);
+    }
+
+    // Outside the per-file error handling: an invalid browserslist config fails the run instead of every scan.
+    const { options, configPath } = await getFileScanOptions(filePath, scanOptions);
+    const targets = describeTarget(resolveTarget(options.targets));
+    if (configPath) {
+      targetConfigs.set(configPath, targets);
+    }
+    for (const tool of options.build ? [...options.build.js, ...options.build.css] : []) {
+      if (!buildConfigs.has(tool.configPath)) buildConfigs.set(tool.configPath, new Set());
+      buildConfigs.get(tool.configPath).add(tool.name);
+    }
+
     try {
-      scannedCount++;
-      if (files.length > 10 && scannedCount % 10 === 0) {
-        process.stdout.write(`\rScanning... ${scannedCount}/${files.length}`);
-      }
-      
       const content = fs.readFileSync(filePath, 'utf-8');
-      const findings = await scanCode(content, language);
+      const findings = await scanCode(content, language, options);
 
       if (findings.length > 0) {
-        totalIssues += findings.length;
+        const guarded = findings.filter(finding => finding.guarded).length;
+        const handledByBuild = findings.filter(finding => finding.handledBy).length;
+        totalIssues += findings.filter(isIssue).length;
+        totalGuarded += guarded;
+        totalHandledByBuild += handledByBuild;
         const relativePath = path.relative(targetPath, filePath);
-        fileReports.push({ path: relativePath, findings });
+        fileReports.push({ path: relativePath, targets, targetQuery: resolveTarget(options.targets).query, findings });
       }
     } catch (error) {
       console.error(`\n${colors.red}Error scanning ${filePath}: ${error.message}${colors.reset}`);
@@ -110,29 +156,49 @@ async function scanDirectory(targetPath) {
     process.stdout.write('\r' + ' '.repeat(50) + '\r'); // Clear progress line
   }
 
-  return { totalIssues, fileReports, totalFiles: files.length };
+  for (const [configPath, targets] of targetConfigs) {
+    console.log(`${colors.cyan}Using targets from ${path.relative(process.cwd(), configPath)}: ${targets}${colors.reset}`);
+  }
+  for (const [configPath, tools] of buildConfigs) {
+    console.log(`${colors.cyan}Using build config from ${path.relative(process.cwd(), configPath)}: ${[...tools].join(', ')}${colors.reset}`);
+  }
+
+  return { totalIssues, totalGuarded, totalHandledByBuild, fileReports, totalFiles: files.length };
 }
 
 /**
  * Formats the scan results for console output
  */
 function formatConsoleReport(results) {
-  const { totalIssues, fileReports, totalFiles } = results;
+  const { totalIssues, totalGuarded = 0, totalHandledByBuild = 0, fileReports, totalFiles } = results;
 
   console.log(`${colors.bold}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}\n`);
 
   if (totalIssues === 0) {
     console.log(`${colors.green}${colors.bold}✓ No Baseline issues found!${colors.reset}`);
+    if (totalGuarded > 0) {
+      console.log(`${colors.cyan}${totalGuarded} guarded use(s) of newer features are behind feature checks.${colors.reset}`);
+    }
+    if (totalHandledByBuild > 0) {
+      console.log(`${colors.cyan}${totalHandledByBuild} use(s) of newer syntax or CSS are handled by the build.${colors.reset}`);
+    }
     console.log(`Scanned ${totalFiles} files.\n`);
     return 0;
   }
 
-  console.log(`${colors.red}${colors.bold}✗ Found ${totalIssues} Baseline issue(s) in ${fileReports.length} file(s)${colors.reset}\n`);
+  const extras = [
+    totalGuarded > 0 ? `${totalGuarded} guarded use(s)` : '',
+    totalHandledByBuild > 0 ? `${totalHandledByBuild} handled by build` : '',
+  ].filter(Boolean);
+  const extrasSummary = extras.length > 0 ? ` (plus ${extras.join(', ')})` : '';
+  console.log(`${colors.red}${colors.bold}✗ Found ${totalIssues} Baseline issue(s) in ${fileReports.length} file(s)${extrasSummary}${colors.reset}\n`);
 
   for (const { path, findings } of fileReports) {
     console.log(`${colors.bold}📄 ${path}${colors.reset}`);
     for (const finding of findings) {
-      console.log(`  ${colors.yellow}Line ${finding.line}:${finding.column}${colors.reset} - ${finding.message}`);
+      const confidence = finding.confidence && finding.confidence !== 'high' ? ` (${finding.confidence} confidence)` : '';
+      const color = isIssue(finding) ? colors.yellow : colors.cyan;
+      console.log(`  ${color}Line ${finding.line}:${finding.column}${colors.reset} - ${finding.message}${confidence}`);
     }
     console.log('');
   }
@@ -148,9 +214,10 @@ function generateGitHubAnnotations(results, workspaceDir) {
 
   for (const { path: filePath, findings } of fileReports) {
     for (const finding of findings) {
-      // GitHub Actions annotation format
+      // GitHub Actions annotation format. Heuristic matches, guarded uses and features the build handles are notices rather than warnings.
+      const level = isIssue(finding) && (!finding.confidence || finding.confidence === 'high') ? 'warning' : 'notice';
       console.log(
-        `::warning file=${filePath},line=${finding.line},col=${finding.column}::${finding.message}`
+        `::${level} file=${filePath},line=${finding.line},col=${finding.column}::${finding.message}`
       );
     }
   }
@@ -175,13 +242,117 @@ function saveResultsToFile(results, filename = 'baseline-results.json') {
   }
 }
 
+/**
+ * Parses command line arguments.
+ * Positionals: [path] [format]. Options: --targets <query>, --type-aware, --min-confidence <level>, --deps, --bundle,
+ * --usage-data <file>
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      targets: { type: 'string' },
+      'type-aware': { type: 'boolean' },
+      'min-confidence': { type: 'string' },
+      deps: { type: 'boolean' },
+      bundle: { type: 'boolean' },
+      'usage-data': { type: 'string' },
+    },
+  });
+
+  const minConfidence = values['min-confidence'] || process.env.BASELINE_MIN_CONFIDENCE || 'low';
+  if (!CONFIDENCE_LEVELS.includes(minConfidence)) {
+    throw new Error(`Invalid --min-confidence '${minConfidence}'. Expected one of: ${CONFIDENCE_LEVELS.join(', ')}`);
+  }
+
+  const usageDataPath = values['usage-data'] || process.env.BASELINE_USAGE_DATA || undefined;
+  const deps = values.deps || process.env.BASELINE_DEPS === 'true';
+  const bundle = values.bundle || process.env.BASELINE_BUNDLE === 'true';
+  if (usageDataPath && (deps || bundle)) {
+    // Usage data feeds the compatibility report, which only the source scan generates.
+    throw new Error(`--usage-data can't be combined with ${deps ? '--deps' : '--bundle'}: only the source scan writes a compatibility report`);
+  }
+
+  return {
+    targetDir: positionals[0] || process.cwd(),
+    format: positionals[1] || 'console', // console, json, or github
+    targets: values.targets || process.env.BASELINE_TARGETS || undefined,
+    typeAware: values['type-aware'] || process.env.BASELINE_TYPE_AWARE === 'true',
+    minConfidence,
+    deps,
+    bundle,
+    usageDataPath,
+  };
+}
+
+/**
+ * Reads browser usage exported from the project's analytics (GA4, Plausible or browserslist usage data)
+ * @param {string} filePath - CSV or JSON export
+ * @returns {Object} Usage shares for the compatibility report
+ */
+function loadUsageData(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Usage data not found: ${filePath}`);
+  }
+  try {
+    return parseUsageData(fs.readFileSync(filePath, 'utf-8'), path.basename(filePath));
+  } catch (e) {
+    throw new Error(`Invalid usage data in ${filePath}: ${e.message}`);
+  }
+}
+
+/**
+ * Runs the dependency audit (`--deps`) instead of scanning the project's own files
+ */
+async function runDependencyAudit(projectDir, format, scanOptions) {
+  console.log(`${colors.cyan}${colors.bold}Baseline Sentinel - Dependency Audit${colors.reset}`);
+  console.log(`${colors.cyan}Project: ${projectDir}${colors.reset}`);
+
+  // Dependencies are checked against the project's targets, not their own browserslist configs.
+  const project = scanOptions.targets ? null : findProjectTargets(projectDir);
+  const options = project ? { ...scanOptions, targets: project.queries } : scanOptions;
+  console.log(`${colors.cyan}Targets: ${describeTarget(resolveTarget(options.targets))}${colors.reset}\n`);
+
+  const results = await auditDependencies(projectDir, options);
+  if (format === 'json') {
+    console.log(generateJsonReport(results));
+    return results.totalIssues > 0 ? 1 : 0;
+  }
+  if (format === 'github') {
+    generateDependencyAnnotations(results, projectDir);
+  }
+  return formatDependencyReport(results, colors);
+}
+
+/**
+ * Scans built output (`--bundle`) instead of the project's sources, mapping findings back through source maps
+ */
+async function runBundleScan(outputPath, format, scanOptions) {
+  console.log(`${colors.cyan}${colors.bold}Baseline Sentinel - Bundle Scan${colors.reset}`);
+  console.log(`${colors.cyan}Scanning: ${outputPath}${colors.reset}`);
+
+  // The output has no browserslist config of its own; the nearest one above it is the project's.
+  const project = scanOptions.targets ? null : findProjectTargets(outputPath);
+  const options = project ? { ...scanOptions, targets: project.queries } : scanOptions;
+  console.log(`${colors.cyan}Targets: ${describeTarget(resolveTarget(options.targets))}${colors.reset}\n`);
+
+  const results = await scanBundles(outputPath, options);
+  if (format === 'json') {
+    console.log(generateJsonReport(results));
+    return results.totalIssues > 0 ? 1 : 0;
+  }
+  if (format === 'github') {
+    generateBundleAnnotations(results);
+  }
+  return formatBundleReport(results, colors);
+}
+
 /**
  * Main execution
  */
 async function main() {
-  const args = process.argv.slice(2);
-  const targetDir = args[0] || process.cwd();
-  const format = args[1] || 'console'; // console, json, or github
+  const { targetDir, format, targets, typeAware, minConfidence, deps, bundle, usageDataPath } = parseCliArgs(process.argv.slice(2));
   const openaiApiKey = process.env.OPENAI_API_KEY || null;
 
   if (!fs.existsSync(targetDir)) {
@@ -189,7 +360,18 @@ async function main() {
     process.exit(1);
   }
 
-  const results = await scanDirectory(targetDir);
+  if (deps) {
+    process.exit(await runDependencyAudit(targetDir, format, { targets, minConfidence }));
+  }
+
+  if (bundle) {
+    process.exit(await runBundleScan(targetDir, format, { targets, minConfidence }));
+  }
+
+  // Loaded before scanning so a bad export fails fast.
+  const usage = usageDataPath ? loadUsageData(usageDataPath) : undefined;
+
+  const results = await scanDirectory(targetDir, { targets, typeAware, minConfidence });
 
   // Always save results to file for CI artifacts
   saveResultsToFile(results);
@@ -199,7 +381,7 @@ async function main() {
     console.log(`\n${colors.cyan}${colors.bold}Generating compatibility report...${colors.reset}`);
     
     try {
-      const { markdown, json } = await generateCompatibilityReport(results, openaiApiKey);
+      const { markdown, json } = await generateCompatibilityReport(results, openaiApiKey, usage);
       await saveReports(markdown, json, '.');
       
       console.log(`${colors.green}✓ Compatibility report generated successfully${colors.reset}`);
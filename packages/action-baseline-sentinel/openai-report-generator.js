@@ -90,6 +90,7 @@ async function generateExecutiveSummary(scanData, apiKey) {
 - Total compatibility issues: ${totalIssues}
 - Overall browser compatibility: ${compatibility.overall}%
 - Chrome: ${compatibility.chrome}%, Firefox: ${compatibility.firefox}%, Safari: ${compatibility.safari}%, Edge: ${compatibility.edge}%
+- Sessions affected by at least one feature: ${compatibility.affectedShare}% (${compatibility.usageSource})
 - Baseline Widely features: ${breakdown.widely}, Newly: ${breakdown.newly}, Limited: ${breakdown.limited}
 
 Focus on the most critical compatibility risks and recommended priorities.`;
@@ -116,6 +117,7 @@ async function generateRiskAssessment(scanData, apiKey) {
 Browser Compatibility:
 - Overall: ${compatibility.overall}%
 - Chrome: ${compatibility.chrome}%, Firefox: ${compatibility.firefox}%, Safari: ${compatibility.safari}%, Edge: ${compatibility.edge}%
+- Sessions affected: ${compatibility.affectedShare}% (${compatibility.usageSource})
 
 Feature Distribution:
 - Baseline Widely (safe): ${breakdown.widely}
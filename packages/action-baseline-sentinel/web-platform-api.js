@@ -113,123 +113,9 @@ async function getMultipleFeaturesData(featureIds) {
   return results;
 }
 
-/**
- * Calculate browser compatibility percentage for a feature
- * @param {Object} featureData - Feature data from API
- * @returns {Object} Compatibility scores by browser
- */
-function calculateCompatibility(featureData) {
-  if (!featureData || !featureData.baseline) {
-    return {
-      overall: 0,
-      chrome: 0,
-      firefox: 0,
-      safari: 0,
-      edge: 0,
-      status: 'unknown'
-    };
-  }
-
-  const { baseline } = featureData;
-  const status = baseline.status;
-
-  // Baseline Widely = 100% (30+ months in all browsers)
-  if (status === 'widely') {
-    return {
-      overall: 100,
-      chrome: 100,
-      firefox: 100,
-      safari: 100,
-      edge: 100,
-      status: 'widely'
-    };
-  }
-
-  // Baseline Newly = Available in latest versions (85% average)
-  if (status === 'newly') {
-    return {
-      overall: 85,
-      chrome: 100,
-      firefox: 90,
-      safari: 80,
-      edge: 100,
-      status: 'newly'
-    };
-  }
-
-  // Limited = Poor support (30% average)
-  return {
-    overall: 30,
-    chrome: 50,
-    firefox: 30,
-    safari: 20,
-    edge: 50,
-    status: 'limited'
-  };
-}
-
-/**
- * Calculate overall codebase compatibility score
- * @param {Map<string, Object>} featuresData - Map of feature data
- * @returns {Object} Aggregated compatibility scores
- */
-function calculateCodebaseCompatibility(featuresData) {
-  if (featuresData.size === 0) {
-    return {
-      overall: 100,
-      chrome: 100,
-      firefox: 100,
-      safari: 100,
-      edge: 100,
-      breakdown: {
-        widely: 0,
-        newly: 0,
-        limited: 0,
-        unknown: 0
-      }
-    };
-  }
-
-  let totalOverall = 0;
-  let totalChrome = 0;
-  let totalFirefox = 0;
-  let totalSafari = 0;
-  let totalEdge = 0;
-  
-  const breakdown = {
-    widely: 0,
-    newly: 0,
-    limited: 0,
-    unknown: 0
-  };
-
-  featuresData.forEach((data) => {
-    const compat = calculateCompatibility(data);
-    totalOverall += compat.overall;
-    totalChrome += compat.chrome;
-    totalFirefox += compat.firefox;
-    totalSafari += compat.safari;
-    totalEdge += compat.edge;
-    breakdown[compat.status]++;
-  });
-
-  const count = featuresData.size;
-
-  return {
-    overall: Math.round(totalOverall / count),
-    chrome: Math.round(totalChrome / count),
-    firefox: Math.round(totalFirefox / count),
-    safari: Math.round(totalSafari / count),
-    edge: Math.round(totalEdge / count),
-    breakdown
-  };
-}
-
 module.exports = {
   queryWebPlatformAPI,
   getFeatureData,
-  getMultipleFeaturesData,
-  calculateCompatibility,
-  calculateCodebaseCompatibility
+  getMultipleFeaturesData
 };
 
@@ -1,89 +1,148 @@
-// @ts-ignore - compute-baseline type definitions are incomplete
-import { getStatus } from 'compute-baseline';
-import { features } from 'web-features';
-
-const bcdKeyCache = new Map<string, string>();
+import * as fs from 'fs';
+import * as path from 'path';
+import { findIndexedCssProperty, findIndexedJsMember, getIndexedStatus } from './feature-index.js';
+import { getBcdKeysForFeature } from './feature-identity.js';
+import { BaselineTarget, CORE_BROWSERS, compareVersions } from './targets.js';
 
 /**
- * Finds the correct BCD key for a given JS property name by searching the web-features data.
+ * Finds the correct BCD key for a given JS property name in the feature index.
  * @param propertyName The name of the JS property (e.g., 'keyCode').
  * @returns The found BCD key, or null if not found.
  */
 function findBcdKeyForJsProperty(propertyName: string): string | null {
-  if (bcdKeyCache.has(propertyName)) {
-    return bcdKeyCache.get(propertyName)!;
-  }
+  return findIndexedJsMember(propertyName) || null;
+}
 
-  for (const feature of Object.values(features)) {
-    // @ts-ignore - compat_features property exists at runtime
-    for (const bcdKey of feature.compat_features || []) {
-      // BCD keys for JS properties often look like 'api.SomeInterface.propertyName'
-      if (bcdKey.endsWith(`.${propertyName}`)) {
-        bcdKeyCache.set(propertyName, bcdKey);
-        return bcdKey;
-      }
-    }
+function findFeatureIdForCssProperty(propertyName: string): string | null {
+  return findIndexedCssProperty(propertyName) || null;
+}
+
+
+/**
+ * Checks if a given web feature (represented by its BCD key) is part of Baseline.
+ * @param bcdKey The MDN Browser Compatibility Data key for the feature (e.g., 'css.properties.backdrop-filter').
+ * @returns True if the feature's Baseline status is 'low' or 'high', false otherwise.
+ */
+export function isFeatureBaseline(bcdKey: string | null): boolean {
+  if (!bcdKey) {
+    return true; // If we can't find a key, we can't check it. Assume it's fine.
   }
+  const status = getFeatureStatus(bcdKey);
+  // Keys without compat data can't be checked either.
+  return !status || status.baseline !== false;
+}
 
-  bcdKeyCache.set(propertyName, null as any);
-  return null;
+/**
+ * The Baseline status and per-browser support of a single BCD key, as computed by `compute-baseline`
+ * (web-features ships it precomputed for the keys it lists).
+ */
+export interface FeatureStatus {
+  baseline: 'high' | 'low' | false;
+  baseline_low_date?: string;
+  baseline_high_date?: string;
+  support: Record<string, string>;
 }
 
-const cssPropertyToFeatureIdCache = new Map<string, string | null>();
+/**
+ * The result of checking a BCD key against a BaselineTarget.
+ */
+export interface TargetCheck {
+  supported: boolean;
+  status: FeatureStatus;
+  unsupportedBrowsers: string[];
+}
 
-function findFeatureIdForCssProperty(propertyName: string): string | null {
-  const cached = cssPropertyToFeatureIdCache.get(propertyName);
+const featureStatusCache = new Map<string, FeatureStatus | null>();
+
+let computeBaseline: { getStatus(featureId: string | null, bcdKey: string): any } | null | undefined;
+
+// compute-baseline's errors for a key that is not in BCD
+const NOT_IN_BCD = /is unindexable at|is not valid feature/;
+
+/**
+ * Loads compute-baseline on first use. It is an ES module, which runtimes without `require(esm)` (Node before 20.19,
+ * e.g. the Electron of older VS Code releases) can't load; keys outside the feature index are then unknown, with one warning.
+ */
+function loadComputeBaseline(): typeof computeBaseline {
+  if (computeBaseline === undefined) {
+    try {
+      computeBaseline = require('compute-baseline');
+    } catch (e) {
+      console.warn(`[baseline-engine] Can't load compute-baseline, so BCD keys outside the feature index have no status: ${(e as Error).message}`);
+      computeBaseline = null;
+    }
+  }
+  return computeBaseline;
+}
+
+/**
+ * Looks up the Baseline status of a BCD key. Keys web-features lists come from the feature index; others
+ * (sub-features such as `api.Navigator.share.data_files_parameter`) are computed by `compute-baseline`,
+ * which loads all of BCD and is therefore only loaded for them.
+ * @param bcdKey The BCD key (e.g., 'css.properties.backdrop-filter').
+ * @returns The status, or null if the key is not part of BCD.
+ */
+export function getFeatureStatus(bcdKey: string): FeatureStatus | null {
+  const cached = featureStatusCache.get(bcdKey);
   if (cached !== undefined) {
     return cached;
   }
 
-  for (const [featureId, feature] of Object.entries(features)) {
-    // @ts-ignore - css_features property exists at runtime
-    if (feature.css_features && feature.css_features.properties) {
-      // @ts-ignore - css_features property exists at runtime
-      for (const prop of feature.css_features.properties) {
-        if (prop === propertyName) {
-          cssPropertyToFeatureIdCache.set(propertyName, featureId);
-          return featureId;
-        }
+  let status: FeatureStatus | null = getIndexedStatus(bcdKey) || null;
+  const compute = status ? undefined : loadComputeBaseline();
+  if (compute) {
+    try {
+      const raw = compute.getStatus(null, bcdKey);
+      if (raw && typeof raw.baseline !== 'undefined') {
+        status = raw as FeatureStatus;
       }
+    } catch (e) {
+      // Keys that are not in BCD are unknown, not errors.
+      if (!NOT_IN_BCD.test((e as Error).message)) throw e;
     }
   }
 
-  cssPropertyToFeatureIdCache.set(propertyName, null);
-  return null;
+  featureStatusCache.set(bcdKey, status);
+  return status;
 }
 
+/**
+ * Checks whether a BCD key satisfies a target.
+ * @param bcdKey The BCD key to check.
+ * @param target The resolved target (see `resolveTarget`).
+ * @returns The check result, or null if there is no compat data for the key.
+ */
+export function checkFeatureAgainstTarget(bcdKey: string, target: BaselineTarget): TargetCheck | null {
+  const status = getFeatureStatus(bcdKey);
+  return status ? checkStatusAgainstTarget(status, target) : null;
+}
 
 /**
- * Checks if a given web feature (represented by its BCD key) is part of Baseline.
- * This function uses the official `compute-baseline` package.
- * @param bcdKey The MDN Browser Compatibility Data key for the feature (e.g., 'css.properties.backdrop-filter').
- * @returns True if the feature's Baseline status is 'low' or 'high', false otherwise.
+ * Checks a Baseline status (of a BCD key or a whole web-features feature) against a target.
  */
-export function isFeatureBaseline(bcdKey: string | null): boolean {
-  if (!bcdKey) {
-    return true; // If we can't find a key, we can't check it. Assume it's fine.
-  }
-  try {
-    // We pass null for the featureId as we are only interested in the BCD key's status,
-    // as recommended by the web.dev article for linters.
-    const status = getStatus(null as any, bcdKey);
-    console.log(`[baseline-engine] Checked: ${bcdKey} -> Raw Status:`, status);
-
-    if (!status || typeof status.baseline === 'undefined') {
-      // This happens for features that compute-baseline doesn't know about, which we can ignore.
-      return true;
+export function checkStatusAgainstTarget(status: FeatureStatus, target: BaselineTarget): TargetCheck {
+  let supported: boolean;
+  let unsupportedBrowsers: string[];
+
+  if (target.kind === 'browsers') {
+    unsupportedBrowsers = Object.entries(target.browsers)
+      .filter(([browser, minVersion]) => {
+        const since = status.support[browser];
+        return !since || compareVersions(since, minVersion!) > 0;
+      })
+      .map(([browser]) => browser);
+    supported = unsupportedBrowsers.length === 0;
+  } else {
+    unsupportedBrowsers = CORE_BROWSERS.filter(browser => !status.support[browser]);
+    if (target.kind === 'baseline') {
+      supported = target.level === 'widely' ? status.baseline === 'high' : status.baseline !== false;
+    } else {
+      const lowYear = parseInt((status.baseline_low_date || '').replace(/^≤/, ''), 10);
+      supported = status.baseline !== false && lowYear <= target.year;
     }
-    
-    const isBaseline = status.baseline === 'low' || status.baseline === 'high';
-    console.log(`[baseline-engine] Is '${bcdKey}' baseline? ${isBaseline}`);
-    return isBaseline;
-
-  } catch (e) {
-    console.error(`[baseline-engine] CRITICAL ERROR checking BCD key '${bcdKey}':`, e);
-    return true; // On error, fail open (don't show a warning).
   }
+
+  return { supported, status, unsupportedBrowsers };
 }
 
 /**
@@ -101,13 +160,21 @@ export function isCssPropertyBaseline(propertyName: string): [boolean, string |
         // If we can't find a feature, we can't check it. Assume it's fine.
         return [true, null];
     }
-    const feature = (features as any)[featureId];
     // A feature might have multiple BCD keys. We check all of them.
-    // @ts-ignore - compat_features property exists at runtime
-    for (const bcdKey of feature.compat_features || []) {
+    for (const bcdKey of getBcdKeysForFeature(featureId)) {
         if (!isFeatureBaseline(bcdKey)) {
             return [false, featureId];
         }
     }
     return [true, featureId];
 }
+
+/**
+ * Identifies the compat data statuses come from: the installed web-features release, which bundles its BCD.
+ * Caches of findings include it, so updating the data invalidates them.
+ */
+export function getCompatDataVersion(): string {
+  // web-features doesn't export its package.json; it sits next to the entry point.
+  const manifestPath = path.join(path.dirname(require.resolve('web-features')), 'package.json');
+  return `web-features@${JSON.parse(fs.readFileSync(manifestPath, 'utf-8')).version}`;
+}
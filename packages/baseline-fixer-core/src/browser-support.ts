@@ -0,0 +1,196 @@
+import { checkStatusAgainstTarget, getFeatureStatus, FeatureStatus } from './baseline-engine.js';
+import { resolveFeatureIdentity } from './feature-identity.js';
+import { getIndexedFeature, getIndexedReleases } from './feature-index.js';
+import { BaselineTarget, BrowserId, CORE_BROWSERS, compareVersions, resolveTarget } from './targets.js';
+
+/**
+ * Per-browser support of features, computed offline from the web-features data in the feature index:
+ * the first version of each browser that supports a feature, the oldest version the targets include,
+ * and compatibility scores derived from both.
+ */
+
+export type SupportStatus = 'widely' | 'newly' | 'limited';
+
+/**
+ * Support of one feature in one browser.
+ */
+export interface BrowserSupport {
+  since?: string; // First supporting version; undefined when the browser doesn't support the feature
+  required?: string; // Oldest version the targets include; undefined when the targets don't include the browser
+  satisfied: boolean;
+}
+
+export interface FeatureSupport {
+  featureId: string;
+  webFeatureId?: string;
+  status: SupportStatus;
+  baselineLowDate?: string;
+  baselineHighDate?: string;
+  browsers: Record<BrowserId, BrowserSupport>;
+  satisfied: boolean; // The feature meets the targets
+}
+
+/**
+ * Compatibility percentages: per feature, the share of targeted browsers that support it;
+ * for a codebase, the average over its features. The desktop browsers are also top-level for reports.
+ */
+export interface CompatibilityScores {
+  overall: number;
+  chrome: number;
+  firefox: number;
+  safari: number;
+  edge: number;
+  browsers: Record<BrowserId, number>;
+}
+
+export interface FeatureCompatibility extends CompatibilityScores {
+  status: SupportStatus | 'unknown';
+}
+
+export interface CodebaseCompatibility extends CompatibilityScores {
+  breakdown: Record<SupportStatus | 'unknown', number>;
+}
+
+const WIDELY_AVAILABLE_MONTHS = 30;
+
+const STATUS_BY_BASELINE: Record<string, SupportStatus> = { high: 'widely', low: 'newly', false: 'limited' };
+
+const requiredVersionsCache = new Map<string, Partial<Record<BrowserId, string>>>();
+
+/**
+ * Returns the oldest version of each core browser a target includes. Browserslist targets list them directly.
+ * For Baseline targets they come from browser release dates: the current release for "newly available", the release
+ * current 30 months ago for "widely available", and the release current at the end of the year for "baseline 2023".
+ */
+export function getRequiredVersions(target: BaselineTarget, now: Date = new Date()): Partial<Record<BrowserId, string>> {
+  if (target.kind === 'browsers') {
+    return target.browsers;
+  }
+  let cutoff = now;
+  if (target.kind === 'baseline-year') {
+    cutoff = new Date(Date.UTC(target.year, 11, 31));
+  } else if (target.level === 'widely') {
+    cutoff = new Date(now);
+    cutoff.setMonth(cutoff.getMonth() - WIDELY_AVAILABLE_MONTHS);
+  }
+  const cutoffDate = cutoff.toISOString().slice(0, 10);
+  const cacheKey = `${target.query}|${cutoffDate}`;
+  const cached = requiredVersionsCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const versions: Partial<Record<BrowserId, string>> = {};
+  for (const browser of CORE_BROWSERS) {
+    const released = getIndexedReleases(browser).filter(release => release.date <= cutoffDate);
+    if (released.length > 0) {
+      versions[browser] = released[released.length - 1].version;
+    }
+  }
+  requiredVersionsCache.set(cacheKey, versions);
+  return versions;
+}
+
+/**
+ * Looks up the support data of a BCD key, web-features ID or webstatus ID. BCD keys use their own
+ * compat data, which is more precise than the status of the whole feature.
+ */
+function findStatus(id: string): { status: FeatureStatus; webFeatureId?: string } | undefined {
+  const { bcdKey, webFeatureId } = resolveFeatureIdentity(id);
+  const keyStatus = bcdKey && id.includes('.') ? getFeatureStatus(bcdKey) : null;
+  if (keyStatus) {
+    return { status: keyStatus, webFeatureId };
+  }
+  const featureStatus = webFeatureId ? getIndexedFeature(webFeatureId)?.status : undefined;
+  return featureStatus ? { status: featureStatus, webFeatureId } : undefined;
+}
+
+/**
+ * Computes the per-browser support of a feature and whether it meets the targets.
+ * @param id A BCD key, web-features ID or webstatus ID.
+ * @param targets Target queries (see resolveTarget). Defaults to Baseline newly available.
+ * @returns The support, or undefined when there is no compat data for the feature.
+ */
+export function getFeatureSupport(id: string, targets?: string | string[]): FeatureSupport | undefined {
+  const found = findStatus(id);
+  if (!found) {
+    return undefined;
+  }
+  const { status, webFeatureId } = found;
+  const target = resolveTarget(targets);
+  const required = getRequiredVersions(target);
+
+  const browserSupport = {} as Record<BrowserId, BrowserSupport>;
+  for (const browser of CORE_BROWSERS) {
+    const since = status.support[browser];
+    const requiredVersion = required[browser];
+    browserSupport[browser] = {
+      since,
+      required: requiredVersion,
+      // A browser outside the targets never fails them.
+      satisfied: !requiredVersion || (!!since && compareVersions(since, requiredVersion) <= 0),
+    };
+  }
+
+  // Decided like the scanners do: Baseline targets by the Baseline status, browser targets by the versions above.
+  const { supported } = checkStatusAgainstTarget(status, target);
+
+  return {
+    featureId: id,
+    webFeatureId,
+    status: STATUS_BY_BASELINE[String(status.baseline)],
+    baselineLowDate: status.baseline_low_date,
+    baselineHighDate: status.baseline_high_date,
+    browsers: browserSupport,
+    satisfied: supported,
+  };
+}
+
+/**
+ * Scores one feature: 100 for each targeted browser that supports it in the required version, 0 otherwise.
+ * Features without compat data score 0 with status 'unknown'.
+ */
+export function scoreFeatureSupport(support: FeatureSupport | undefined): FeatureCompatibility {
+  const scores = {} as Record<BrowserId, number>;
+  for (const browser of CORE_BROWSERS) {
+    scores[browser] = support?.browsers[browser].satisfied ? 100 : 0;
+  }
+  const targeted = support ? CORE_BROWSERS.filter(browser => support.browsers[browser].required) : [];
+  const overall = targeted.length > 0
+    ? Math.round(targeted.filter(browser => support!.browsers[browser].satisfied).length / targeted.length * 100)
+    : support ? 100 : 0;
+  return { ...withDesktopScores(overall, scores), status: support ? support.status : 'unknown' };
+}
+
+/**
+ * Averages the scores of a codebase's features. Features without compat data are counted in the breakdown
+ * but left out of the scores, since nothing is known about them.
+ */
+export function summarizeCompatibility(supports: (FeatureSupport | undefined)[]): CodebaseCompatibility {
+  const breakdown = { widely: 0, newly: 0, limited: 0, unknown: 0 };
+  const known: FeatureSupport[] = [];
+  for (const support of supports) {
+    breakdown[support ? support.status : 'unknown']++;
+    if (support) known.push(support);
+  }
+
+  const totals = {} as Record<BrowserId, number>;
+  let overall = 0;
+  for (const support of known) {
+    const score = scoreFeatureSupport(support);
+    overall += score.overall;
+    for (const browser of CORE_BROWSERS) {
+      totals[browser] = (totals[browser] || 0) + score.browsers[browser];
+    }
+  }
+  const average = (total: number) => (known.length > 0 ? Math.round(total / known.length) : 100);
+  const scores = {} as Record<BrowserId, number>;
+  for (const browser of CORE_BROWSERS) {
+    scores[browser] = average(totals[browser] || 0);
+  }
+  return { ...withDesktopScores(average(overall), scores), breakdown };
+}
+
+function withDesktopScores(overall: number, scores: Record<BrowserId, number>): CompatibilityScores {
+  return { overall, chrome: scores.chrome, firefox: scores.firefox, safari: scores.safari, edge: scores.edge, browsers: scores };
+}
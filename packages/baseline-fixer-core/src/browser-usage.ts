@@ -0,0 +1,266 @@
+import browserslist from 'browserslist';
+import { FeatureSupport } from './browser-support.js';
+import { BROWSERSLIST_TO_BCD, BrowserId, compareVersions } from './targets.js';
+
+/**
+ * Browser usage shares, used to estimate the share of sessions a feature breaks for.
+ */
+
+/**
+ * Share of sessions (in percent) per browser version. `total` is the sum of all shares, including browsers
+ * outside the core set (Samsung Internet, Opera...), which have no compat data and are never counted as affected.
+ */
+export interface UsageData {
+  source: string; // Where the numbers come from, for reports: "caniuse global usage" or an analytics export
+  shares: Partial<Record<BrowserId, Record<string, number>>>;
+  total: number;
+}
+
+let globalUsage: UsageData | undefined;
+
+/**
+ * Returns the global usage from the caniuse-lite data bundled with browserslist.
+ */
+export function getGlobalUsage(): UsageData {
+  if (globalUsage) {
+    return globalUsage;
+  }
+  const shares: UsageData['shares'] = {};
+  let total = 0;
+  for (const [entry, share] of Object.entries(browserslist.usage.global || {})) {
+    if (!share) continue;
+    total += share;
+    const [agent, version] = entry.split(' ');
+    const browser = BROWSERSLIST_TO_BCD[agent];
+    if (!browser) continue;
+    shares[browser] = shares[browser] || {};
+    shares[browser]![version] = share;
+  }
+  globalUsage = { source: 'caniuse global usage', shares, total };
+  return globalUsage;
+}
+
+// A table read from an analytics export: column names and one row of cells per browser (version).
+interface UsageTable {
+  headers: string[];
+  rows: string[][];
+}
+
+// Metric columns, most preferred first. Sessions are closest to "page loads that would break".
+const METRIC_COLUMNS = [
+  'sessions', 'visits', 'visitors', 'active users', 'total users', 'users', 'pageviews', 'views', 'share', 'percent',
+];
+
+// Rows analytics exports add that aren't a browser.
+const TOTAL_ROWS = new Set(['total', 'totals', 'grand total', '(other)']);
+
+/**
+ * Parses browser usage exported from an analytics tool into usage shares. Accepted formats:
+ *
+ * - CSV with a browser column, a browser version column and a metric column, as exported by GA4 explorations
+ *   (`Browser,Browser version,Sessions`) and Plausible (`browser,browser_version,visitors`). An operating system
+ *   or device column, when present, tells mobile browsers apart.
+ * - The same rows as JSON: an array of objects, a Plausible Stats API response (`results`) or
+ *   a GA4 Data API report (`dimensionHeaders`, `metricHeaders`, `rows`).
+ * - Browserslist custom usage data (`{ "chrome": { "120": 12.3 } }`), as written by browserslist-ga.
+ *
+ * Shares are normalized to percent. Browsers outside the core set still count towards the total.
+ * @param text File content
+ * @param source Where the data comes from, shown in reports (usually the file name)
+ * @throws {Error} When the browser, version or metric column is missing, or no row has a positive value
+ */
+export function parseUsageData(text: string, source: string): UsageData {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  let counts: { browser: BrowserId | undefined; version: string; count: number }[];
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const json = JSON.parse(trimmed);
+    counts = isBrowserslistStats(json) ? readBrowserslistStats(json) : readUsageTable(getJsonTable(json));
+  } else {
+    const table = getCsvTable(trimmed);
+    counts = table ? readUsageTable(table) : [];
+  }
+
+  const sum = counts.reduce((total, { count }) => total + count, 0);
+  if (sum <= 0) {
+    throw new Error(`No browser usage found in ${source}`);
+  }
+  const shares: UsageData['shares'] = {};
+  for (const { browser, version, count } of counts) {
+    if (!browser || !version) continue;
+    const versions = shares[browser] = shares[browser] || {};
+    versions[version] = (versions[version] || 0) + count / sum * 100;
+  }
+  return { source, shares, total: 100 };
+}
+
+function isBrowserslistStats(json: any): boolean {
+  return !Array.isArray(json) && Object.values(json).every(value => value && typeof value === 'object' && !Array.isArray(value)
+    && Object.values(value).every(share => typeof share === 'number'));
+}
+
+function readBrowserslistStats(json: Record<string, Record<string, number>>) {
+  return Object.entries(json).flatMap(([agent, versions]) =>
+    Object.entries(versions).map(([version, count]) => ({ browser: BROWSERSLIST_TO_BCD[agent], version, count })));
+}
+
+/**
+ * Reads the rows of a JSON export: an array of row objects, a Plausible Stats API response (v1 rows or v2
+ * `dimensions`/`metrics` arrays) or a GA4 Data API report.
+ */
+function getJsonTable(json: any): UsageTable {
+  if (Array.isArray(json.rows) && Array.isArray(json.dimensionHeaders)) {
+    return {
+      headers: [...json.dimensionHeaders, ...(json.metricHeaders || [])].map((header: any) => header.name),
+      rows: json.rows.map((row: any) =>
+        [...(row.dimensionValues || []), ...(row.metricValues || [])].map((cell: any) => String(cell.value ?? ''))),
+    };
+  }
+  const rows: any[] = Array.isArray(json) ? json : json.results;
+  if (!Array.isArray(rows)) {
+    throw new Error('Unrecognized usage data format');
+  }
+  if (json.query && rows.every(row => Array.isArray(row.dimensions))) {
+    return {
+      headers: [...json.query.dimensions, ...json.query.metrics],
+      rows: rows.map(row => [...row.dimensions, ...row.metrics].map(String)),
+    };
+  }
+  const headers = Array.from(new Set(rows.flatMap(row => Object.keys(row))));
+  return { headers, rows: rows.map(row => headers.map(header => String(row[header] ?? ''))) };
+}
+
+/**
+ * Reads the first table of a CSV export. GA4 precedes it with `#` comment lines and separates further
+ * tables (totals, charts) with blank lines.
+ */
+function getCsvTable(text: string): UsageTable | undefined {
+  const lines = text.split(/\r?\n/).filter(line => !line.startsWith('#'));
+  const start = lines.findIndex(line => line.trim() !== '');
+  if (start === -1) {
+    return undefined; // Empty, or only comments
+  }
+  const end = lines.findIndex((line, index) => index > start && line.trim() === '');
+  const [header, ...rows] = lines.slice(start, end === -1 ? undefined : end);
+  const delimiter = header.includes('\t') ? '\t' : header.includes(';') && !header.includes(',') ? ';' : ',';
+  return { headers: parseCsvLine(header, delimiter), rows: rows.map(row => parseCsvLine(row, delimiter)) };
+}
+
+function parseCsvLine(line: string, delimiter: string): string[] {
+  const cells: string[] = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells.map(value => value.trim());
+}
+
+// "Browser version", "browser_version", "visit:browser_version" and "browserVersion" all become "browser version".
+function normalizeHeader(header: string): string {
+  return header.replace(/^\w+:/, '').replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').trim().toLowerCase();
+}
+
+function readUsageTable(table: UsageTable) {
+  const headers = table.headers.map(normalizeHeader);
+  const browserColumn = headers.findIndex(header => header === 'browser' || header === 'name');
+  const versionColumn = headers.findIndex(header => header === 'browser version' || header === 'version');
+  const platformColumns = headers.flatMap((header, index) =>
+    ['operating system', 'os', 'device', 'device category', 'device type'].includes(header) ? [index] : []);
+  const metric = METRIC_COLUMNS.find(name => headers.includes(name));
+  if (browserColumn === -1 || versionColumn === -1 || !metric) {
+    throw new Error(`Usage data needs a browser column, a browser version column and one of: ${METRIC_COLUMNS.join(', ')}`);
+  }
+  const metricColumn = headers.indexOf(metric);
+
+  return table.rows.flatMap(row => {
+    const name = (row[browserColumn] || '').toLowerCase();
+    const count = parseFloat((row[metricColumn] || '').replace(/[,%\s]/g, ''));
+    if (!name || TOTAL_ROWS.has(name) || !(count > 0)) return [];
+    const platform = platformColumns.map(column => row[column] || '').join(' ').toLowerCase();
+    const browser = getAnalyticsBrowser(name, platform);
+    const version = browser ? normalizeVersion(browser, row[versionColumn] || '') : '';
+    return [{ browser, version, count }];
+  });
+}
+
+/**
+ * Maps an analytics browser name ("Chrome", "Mobile Safari", "Microsoft Edge") to a core browser. Other browsers,
+ * including iOS browsers that report their own version instead of Safari's (Chrome on iOS), stay unmapped.
+ */
+function getAnalyticsBrowser(name: string, platform: string): BrowserId | undefined {
+  const ios = /\b(ios|ipados|iphone|ipad)\b/.test(platform);
+  if (/^(mobile )?safari( \(in-app\))?$/.test(name)) return ios || name !== 'safari' ? 'safari_ios' : 'safari';
+  if (ios) return undefined;
+  const mobile = /mobile|android|tablet/.test(`${name} ${platform}`);
+  if (/^(google )?chrome( mobile)?$|^android webview$/.test(name)) return mobile ? 'chrome_android' : 'chrome';
+  if (/^(mozilla )?firefox( mobile)?$/.test(name)) return mobile ? 'firefox_android' : 'firefox';
+  if (/^(microsoft )?edge( mobile)?$/.test(name)) return 'edge';
+  return undefined;
+}
+
+// Compat data lists Safari versions as major.minor and other browsers by major version.
+function normalizeVersion(browser: BrowserId, version: string): string {
+  const parts = version.match(/^\d+(\.\d+)?/);
+  if (!parts) return '';
+  return browser === 'safari' || browser === 'safari_ios' ? parts[0].replace(/\.0$/, '') : parts[0].split('.')[0];
+}
+
+/**
+ * Estimates the share of sessions (in percent, two decimals) that run a browser version missing at least one
+ * of the given features. For a single feature, that is the share it breaks for.
+ * @param usage Usage shares. Defaults to the global usage.
+ */
+export function getAffectedShare(supports: (FeatureSupport | undefined)[], usage: UsageData = getGlobalUsage()): number {
+  const known = supports.filter((support): support is FeatureSupport => !!support);
+  if (known.length === 0 || usage.total <= 0) {
+    return 0;
+  }
+  let affected = 0;
+  for (const [browser, versions] of Object.entries(usage.shares) as [BrowserId, Record<string, number>][]) {
+    for (const [version, share] of Object.entries(versions)) {
+      if (known.some(support => !isSupportedIn(support, browser, version))) {
+        affected += share;
+      }
+    }
+  }
+  return Math.round(affected / usage.total * 10000) / 100;
+}
+
+function isSupportedIn(support: FeatureSupport, browser: BrowserId, version: string): boolean {
+  const since = support.browsers[browser]?.since;
+  // Ranges such as "ios_saf 17.4-17.5" are checked against their lower bound.
+  return !!since && compareVersions(version.split('-')[0], since) >= 0;
+}
+
+/**
+ * Formats an affected share: "~3.2%", "<0.1%" or "0%".
+ */
+export function formatAffectedShare(share: number): string {
+  if (share === 0) return '0%';
+  return share < 0.1 ? '<0.1%' : `~${share.toFixed(1)}%`;
+}
+
+/**
+ * Describes the affected share of one feature for reports: "affects ~3.2% of sessions".
+ */
+export function describeAffectedShare(share: number): string {
+  return share === 0 ? 'affects no sessions' : `affects ${formatAffectedShare(share)} of sessions`;
+}
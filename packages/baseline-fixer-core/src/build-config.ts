@@ -0,0 +1,327 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import type * as ts from 'typescript';
+import { loadTypeScript } from './type-checker.js';
+
+/**
+ * Reads a project's build toolchain (Babel, TypeScript, Vite/esbuild, SWC, PostCSS, Lightning CSS), so findings
+ * for syntax and CSS that the build rewrites for the targets can be marked as handled instead of reported.
+ */
+
+/**
+ * A tool that lowers JavaScript syntax.
+ * - `target`: the ECMAScript year it compiles down to (tsconfig `ES2017` -> 2017, `ESNext` -> Infinity).
+ *   Undefined means it compiles for the project's browserslist targets, like @babel/preset-env.
+ * - `regex`: it also rewrites regex features such as named groups and the `v` flag (Babel does).
+ */
+export interface JsTranspiler {
+  name: string;
+  configPath: string;
+  target?: number;
+  regex?: boolean;
+  typescriptOnly?: boolean; // tsc without `allowJs` only compiles .ts/.tsx files
+}
+
+export type CssTransformer = 'Autoprefixer' | 'postcss-preset-env' | 'postcss-nesting' | 'Lightning CSS';
+
+/**
+ * The build tools found for a file.
+ */
+export interface ProjectBuild {
+  js: JsTranspiler[];
+  css: Array<{ name: CssTransformer; configPath: string }>;
+}
+
+// ECMAScript year of each syntax feature. Transpilers targeting an earlier year rewrite it.
+const SYNTAX_YEARS: Record<string, number> = {
+  'javascript.operators.exponentiation': 2016,
+  'javascript.operators.exponentiation_assignment': 2016,
+  'javascript.statements.for_await_of': 2018,
+  'javascript.operators.optional_chaining': 2020,
+  'javascript.operators.nullish_coalescing': 2020,
+  'javascript.operators.nullish_coalescing_assignment': 2021,
+  'javascript.operators.logical_or_assignment': 2021,
+  'javascript.operators.logical_and_assignment': 2021,
+  'javascript.classes.public_class_fields': 2022,
+  'javascript.classes.static.class_fields': 2022,
+  'javascript.classes.private_class_fields': 2022,
+  'javascript.classes.private_class_methods': 2022,
+  'javascript.classes.private_class_fields_in': 2022,
+  'javascript.classes.static.initialization_blocks': 2022,
+  // Not in a published edition yet; TypeScript and esbuild lower it for any target below ESNext.
+  'javascript.statements.using': Infinity,
+  'javascript.statements.await_using': Infinity,
+};
+
+// Regex features @babel/preset-env rewrites. Lookbehind and the d flag can't be transpiled.
+const BABEL_REGEX_FEATURES = new Set([
+  'javascript.regular_expressions.named_capturing_group',
+  'javascript.regular_expressions.named_capturing_group.duplicate_named_capturing_groups',
+  'javascript.regular_expressions.named_backreference',
+  'javascript.regular_expressions.unicode_character_class_escape',
+  'javascript.regular_expressions.modifier',
+  'javascript.builtins.RegExp.dotAll',
+  'javascript.builtins.RegExp.unicodeSets',
+]);
+
+// Features older browsers only support with a vendor prefix, which Autoprefixer and Lightning CSS add.
+const PREFIXED_FEATURES = new Set([
+  'css.properties.backdrop-filter',
+  'css.properties.user-select',
+  'css.properties.appearance',
+  'css.properties.mask',
+  'css.properties.mask-clip',
+  'css.properties.mask-composite',
+  'css.properties.mask-image',
+  'css.properties.mask-mode',
+  'css.properties.mask-origin',
+  'css.properties.mask-position',
+  'css.properties.mask-repeat',
+  'css.properties.mask-size',
+  'css.properties.text-size-adjust',
+  'css.properties.hyphens',
+  'css.properties.box-decoration-break',
+  'css.properties.print-color-adjust',
+  'css.properties.clip-path',
+  'css.properties.text-emphasis',
+  'css.properties.text-emphasis-color',
+  'css.properties.text-emphasis-position',
+  'css.properties.text-emphasis-style',
+  'css.properties.tab-size',
+  'css.properties.position.sticky',
+  'css.properties.background-clip.text',
+  'css.selectors.fullscreen',
+  'css.selectors.placeholder',
+  'css.selectors.autofill',
+  'css.selectors.file-selector-button',
+  'css.types.image.image-set',
+]);
+
+// Features that postcss-preset-env and Lightning CSS compile to older syntax (with fallbacks for colors).
+const LOWERED_CSS_FEATURES = new Set([
+  'css.selectors.nesting',
+  'css.at-rules.media.range_syntax',
+  'css.types.color.oklch',
+  'css.types.color.oklab',
+  'css.types.color.lab',
+  'css.types.color.lch',
+  'css.types.color.hwb',
+  'css.types.color.color',
+  'css.types.color.color-mix',
+  'css.types.color.light-dark',
+  'css.types.color.rgb.space_separated_parameters',
+  'css.types.color.hsl.space_separated_parameters',
+  'css.selectors.is',
+  'css.selectors.not.selector_list',
+  'css.properties.inset',
+]);
+
+const CSS_TRANSFORMS: Record<CssTransformer, (featureId: string) => boolean> = {
+  'Autoprefixer': featureId => PREFIXED_FEATURES.has(featureId),
+  'postcss-preset-env': featureId => PREFIXED_FEATURES.has(featureId) || LOWERED_CSS_FEATURES.has(featureId) ||
+    featureId === 'css.at-rules.custom-media' || featureId === 'css.selectors.any-link',
+  'postcss-nesting': featureId => featureId === 'css.selectors.nesting',
+  'Lightning CSS': featureId => PREFIXED_FEATURES.has(featureId) || LOWERED_CSS_FEATURES.has(featureId),
+};
+
+const TSCONFIG = 'tsconfig.json';
+const BABEL_CONFIGS = ['babel.config.js', 'babel.config.cjs', 'babel.config.mjs', 'babel.config.cts', 'babel.config.json', '.babelrc', '.babelrc.json', '.babelrc.js', '.babelrc.cjs', '.babelrc.mjs'];
+const VITE_CONFIGS = ['vite.config.ts', 'vite.config.js', 'vite.config.mts', 'vite.config.mjs', 'vite.config.cts', 'vite.config.cjs'];
+const NEXT_CONFIGS = ['next.config.js', 'next.config.mjs', 'next.config.ts', 'next.config.cjs'];
+const SWC_CONFIGS = ['.swcrc'];
+const POSTCSS_CONFIGS = ['postcss.config.js', 'postcss.config.cjs', 'postcss.config.mjs', 'postcss.config.ts', 'postcss.config.cts', 'postcss.config.mts', '.postcssrc', '.postcssrc.json', '.postcssrc.yaml', '.postcssrc.yml', '.postcssrc.js', '.postcssrc.cjs', '.postcssrc.mjs'];
+
+// Babel presets that include @babel/preset-env.
+const PRESET_ENV = /@babel\/preset-env|@babel\/env\b|babel-preset-env|babel-preset-react-app|next\/babel|@vue\/cli-plugin-babel|@vue\/babel-preset-app|babel-preset-expo/;
+
+// Vite's default build target ('modules') is ES2020 plus the browsers that support native modules.
+const VITE_DEFAULT_TARGET = 2020;
+
+const STYLESHEET_LANGUAGES = new Set(['css', 'scss', 'sass', 'less', 'vue', 'svelte', 'astro']);
+const SCRIPT_LANGUAGES = new Set(['javascript', 'typescript', 'typescriptreact', 'vue', 'svelte', 'astro']);
+
+const buildCache = new Map<string, ProjectBuild | undefined>();
+
+/**
+ * Finds the build tools that compile a file: the nearest tsconfig.json (unless it has `noEmit`), Babel config
+ * with @babel/preset-env, Vite config, Next.js or SWC config and PostCSS config, walking up from the file.
+ * @param filePath The scanned file.
+ * The `typescript` package is only loaded to read a tsconfig.json; without it, TypeScript isn't detected.
+ * @returns The tools, or undefined if none was found.
+ */
+export async function findProjectBuild(filePath: string): Promise<ProjectBuild | undefined> {
+  const directory = path.dirname(path.resolve(filePath));
+  if (buildCache.has(directory)) {
+    return buildCache.get(directory);
+  }
+
+  const build: ProjectBuild = { js: [], css: [] };
+
+  const tsconfig = findConfig(directory, [TSCONFIG]);
+  const tsc = tsconfig ? await loadTypeScript() : undefined;
+  const typescript = tsconfig && tsc && readTypeScriptTarget(tsc, tsconfig.path);
+  if (typescript) {
+    build.js.push({ name: 'TypeScript', configPath: tsconfig!.path, ...typescript });
+  }
+
+  const babel = findConfig(directory, BABEL_CONFIGS, 'babel');
+  if (babel && PRESET_ENV.test(babel.text)) {
+    build.js.push({ name: '@babel/preset-env', configPath: babel.path, regex: true });
+  }
+
+  const vite = findConfig(directory, VITE_CONFIGS);
+  if (vite) {
+    build.js.push({ name: 'Vite (esbuild)', configPath: vite.path, target: readViteTarget(vite.text) });
+    if (/\b(?:transformer|cssMinify)\s*:\s*['"]lightningcss['"]|@tailwindcss\/vite/.test(vite.text)) {
+      build.css.push({ name: 'Lightning CSS', configPath: vite.path });
+    }
+  }
+
+  // Next.js and SWC's `env` option compile for the browserslist targets; `jsc.target` for an ES version.
+  const next = !babel ? findConfig(directory, NEXT_CONFIGS) : undefined;
+  if (next) {
+    build.js.push({ name: 'SWC (Next.js)', configPath: next.path });
+  }
+  const swc = findConfig(directory, SWC_CONFIGS);
+  if (swc) {
+    const target = swc.text.match(/"target"\s*:\s*"([^"]+)"/);
+    build.js.push({ name: 'SWC', configPath: swc.path, target: /"env"\s*:/.test(swc.text) ? undefined : esYear(target?.[1] || 'es5') });
+  }
+
+  const postcss = findConfig(directory, POSTCSS_CONFIGS, 'postcss');
+  if (postcss) {
+    if (/postcss-preset-env/.test(postcss.text)) {
+      build.css.push({ name: 'postcss-preset-env', configPath: postcss.path });
+    } else if (/autoprefixer/.test(postcss.text)) {
+      build.css.push({ name: 'Autoprefixer', configPath: postcss.path });
+    }
+    if (/postcss-nesting|postcss-nested|tailwindcss\/nesting/.test(postcss.text)) {
+      build.css.push({ name: 'postcss-nesting', configPath: postcss.path });
+    }
+    if (/@tailwindcss\/postcss|postcss-lightningcss/.test(postcss.text)) {
+      build.css.push({ name: 'Lightning CSS', configPath: postcss.path });
+    }
+  }
+
+  const result = build.js.length > 0 || build.css.length > 0 ? build : undefined;
+  buildCache.set(directory, result);
+  return result;
+}
+
+/**
+ * Returns the build tool that rewrites a feature in a file of the given language, e.g. "TypeScript (target ES2017)",
+ * or undefined if the feature reaches the browser as written.
+ * CSS tools apply to stylesheets and component styles, not to CSS-in-JS; JS tools to scripts.
+ */
+export function getBuildHandler(featureId: string, language: string, build: ProjectBuild): string | undefined {
+  if (featureId.startsWith('css.') && STYLESHEET_LANGUAGES.has(language)) {
+    return build.css.find(tool => CSS_TRANSFORMS[tool.name](featureId))?.name;
+  }
+  if (!featureId.startsWith('javascript.') || !SCRIPT_LANGUAGES.has(language)) {
+    return undefined;
+  }
+  const year = SYNTAX_YEARS[featureId];
+  for (const tool of build.js) {
+    if (tool.typescriptOnly && language !== 'typescript' && language !== 'typescriptreact') continue;
+    if (tool.target === undefined) {
+      if (year !== undefined || (tool.regex && BABEL_REGEX_FEATURES.has(featureId))) return tool.name;
+    } else if (year !== undefined && year > tool.target) {
+      return `${tool.name} targeting ${describeEsYear(tool.target)}`;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Reads the compile target of a tsconfig.json, following `extends`.
+ * @returns undefined when tsc doesn't emit (`noEmit`), because a bundler compiles the code instead.
+ */
+function readTypeScriptTarget(tsc: typeof ts, configPath: string): Pick<JsTranspiler, 'target' | 'typescriptOnly'> | undefined {
+  const { config, error } = tsc.readConfigFile(configPath, tsc.sys.readFile);
+  if (error) {
+    return undefined;
+  }
+  // Only the compiler options are needed, so the `include` globs aren't expanded.
+  const host: ts.ParseConfigHost = {
+    useCaseSensitiveFileNames: tsc.sys.useCaseSensitiveFileNames,
+    readDirectory: () => [],
+    fileExists: tsc.sys.fileExists,
+    readFile: tsc.sys.readFile,
+  };
+  const { options } = tsc.parseJsonConfigFileContent(config, host, path.dirname(configPath), undefined, configPath);
+  if (options.noEmit || options.emitDeclarationOnly) {
+    return undefined;
+  }
+  const target = options.target ?? tsc.ScriptTarget.ES5;
+  return { target: target === tsc.ScriptTarget.ESNext ? Infinity : esYear(tsc.ScriptTarget[target]), typescriptOnly: !options.allowJs };
+}
+
+/**
+ * Reads `build.target` or `esbuild.target` from a Vite config. Browser targets (`safari14`) are approximated by
+ * Vite's default ES2020; explicit ES versions win.
+ */
+function readViteTarget(text: string): number {
+  const match = text.match(/\b(?:build|esbuild)\s*:\s*\{[^}]*?\btarget\s*:\s*(\[[^\]]*\]|'[^']*'|"[^"]*")/);
+  const years = [...(match?.[1] || '').matchAll(/\bes(next|\d+)\b/gi)].map(year => esYear(year[0]));
+  return years.length > 0 ? Math.min(...years) : VITE_DEFAULT_TARGET;
+}
+
+/**
+ * Converts an ES version name to its year: es5 -> 2009, ES6 -> 2015, es2020 -> 2020, esnext -> Infinity.
+ */
+function esYear(version: string): number {
+  const name = version.toLowerCase();
+  if (name === 'esnext' || name === 'latest') return Infinity;
+  if (name === 'es3') return 1999;
+  if (name === 'es5') return 2009;
+  if (name === 'es6') return 2015;
+  const year = Number(name.replace(/^es/, ''));
+  return Number.isFinite(year) && year > 2000 ? year : 2009;
+}
+
+function describeEsYear(year: number): string {
+  return year === 2009 ? 'ES5' : `ES${year}`;
+}
+
+/**
+ * Walks up from a directory and returns the first config file found, or a `package.json` with the given field.
+ */
+function findConfig(directory: string, names: string[], packageField?: string): { path: string; text: string } | undefined {
+  let current = directory;
+  while (true) {
+    for (const name of names) {
+      const configPath = path.join(current, name);
+      if (fileExists(configPath)) {
+        return { path: configPath, text: readFile(configPath) };
+      }
+    }
+    const packagePath = path.join(current, 'package.json');
+    if (packageField && fileExists(packagePath)) {
+      try {
+        const field = JSON.parse(readFile(packagePath) || '{}')[packageField];
+        if (field) {
+          return { path: packagePath, text: JSON.stringify(field) };
+        }
+      } catch (e) {
+        // Invalid package.json, keep walking up
+      }
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return undefined;
+    }
+    current = parent;
+  }
+}
+
+function fileExists(filePath: string): boolean {
+  return !!fs.statSync(filePath, { throwIfNoEntry: false })?.isFile();
+}
+
+function readFile(filePath: string): string {
+  try {
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch (e) {
+    return ''; // Unreadable, e.g. a permission error
+  }
+}
@@ -0,0 +1,156 @@
+import { getFeatureIndex, getIndexedKeys } from './feature-index.js';
+
+/**
+ * Lookup tables for CSS detection, generated from the `css.*` BCD keys that web-features lists in `compat_features`.
+ */
+export interface CssFeatureTable {
+  keys: Set<string>;
+  functions: Map<string, string>; // 'color-mix' -> 'css.types.color.color-mix', 'sin' -> 'css.types.sin'
+  units: Map<string, string>; // 'lh' -> 'css.types.length.lh', 'dvh' -> 'css.types.length.viewport_percentage_units_dynamic'
+}
+
+/**
+ * The function and unit tables as the feature index stores them.
+ */
+export interface CssFeatureLookups {
+  functions: Record<string, string>;
+  units: Record<string, string>;
+}
+
+// BCD groups some units under one key.
+const UNIT_GROUPS: Record<string, string[]> = {
+  'css.types.length.viewport_percentage_units_dynamic': ['dvh', 'dvw', 'dvi', 'dvb', 'dvmin', 'dvmax'],
+  'css.types.length.viewport_percentage_units_large': ['lvh', 'lvw', 'lvi', 'lvb', 'lvmin', 'lvmax'],
+  'css.types.length.viewport_percentage_units_small': ['svh', 'svw', 'svi', 'svb', 'svmin', 'svmax'],
+  'css.types.length.container_query_length_units': ['cqw', 'cqh', 'cqi', 'cqb', 'cqmin', 'cqmax'],
+};
+
+// Data types whose sub-features are units (css.types.length.lh) rather than functions.
+const UNIT_TYPES = new Set(['length', 'angle', 'time', 'frequency', 'resolution', 'flex']);
+
+const CSS_NAME = /^[a-z][a-z0-9-]*$/i;
+
+let table: CssFeatureTable | undefined;
+
+/**
+ * Builds the function and unit tables from every BCD key in the feature index (see buildFeatureIndex).
+ */
+export function buildCssFeatureLookups(allKeys: string[]): CssFeatureLookups {
+  const keys = new Set(allKeys.filter(key => key.startsWith('css.')));
+  const functions = new Map<string, string>();
+  const units = new Map<string, string>();
+  // A css.types.X key with named children (css.types.color.oklch) is a data type; one without is a function (css.types.sin).
+  const typeKeys = [...keys].filter(key => key.startsWith('css.types.')).map(key => key.split('.').slice(2));
+  const dataTypes = new Set(typeKeys.filter(parts => parts.length === 2 && CSS_NAME.test(parts[1])).map(parts => parts[0]));
+
+  for (const [type, name, ...rest] of typeKeys) {
+    if (name || rest.length > 0 || dataTypes.has(type) || !CSS_NAME.test(type)) continue;
+    functions.set(type.toLowerCase(), `css.types.${type}`);
+  }
+  for (const [type, name, ...rest] of typeKeys) {
+    if (!name || rest.length > 0) continue;
+    if (UNIT_TYPES.has(type)) {
+      if (/^[a-z]+$/i.test(name)) units.set(name.toLowerCase(), `css.types.${type}.${name}`);
+    } else if (CSS_NAME.test(name) && !functions.has(name.toLowerCase())) {
+      // css.types.color.oklch, css.types.gradient.conic-gradient. A generic function such as css.types.round
+      // wins over a keyword of the same name (css.types.corner-shape-value.round).
+      functions.set(name.toLowerCase(), `css.types.${type}.${name}`);
+    }
+  }
+
+  for (const [key, groupUnits] of Object.entries(UNIT_GROUPS)) {
+    if (!keys.has(key)) continue;
+    for (const unit of groupUnits) {
+      units.set(unit, key);
+    }
+  }
+
+  return { functions: Object.fromEntries(functions), units: Object.fromEntries(units) };
+}
+
+/**
+ * Returns the CSS lookup tables, read (once) from the feature index.
+ */
+export function getCssFeatureTable(): CssFeatureTable {
+  if (!table) {
+    const { css } = getFeatureIndex();
+    table = {
+      keys: new Set(getIndexedKeys('css.')),
+      functions: new Map(Object.entries(css.functions)),
+      units: new Map(Object.entries(css.units)),
+    };
+  }
+  return table;
+}
+
+/**
+ * Returns the BCD key for a keyword value of a property (`display: contents` -> css.properties.display.contents).
+ */
+export function findKeywordKey(property: string, keyword: string): string | undefined {
+  const key = `css.properties.${property.toLowerCase()}.${keyword.toLowerCase()}`;
+  return getCssFeatureTable().keys.has(key) ? key : undefined;
+}
+
+/**
+ * Returns the BCD key for a CSS function. Property-specific keys (css.properties.width.fit-content_function)
+ * win over the generic ones (css.types.color.color-mix).
+ */
+export function findFunctionKey(property: string, name: string): string | undefined {
+  const { keys, functions } = getCssFeatureTable();
+  const lowerName = name.toLowerCase();
+  const propertyKey = `css.properties.${property.toLowerCase()}.${lowerName}`;
+  if (keys.has(`${propertyKey}_function`)) return `${propertyKey}_function`;
+  if (keys.has(propertyKey)) return propertyKey;
+  return functions.get(lowerName);
+}
+
+/**
+ * Returns the BCD key for a CSS unit (`lh`, `cqi`, `dvh`).
+ */
+export function findUnitKey(unit: string): string | undefined {
+  return getCssFeatureTable().units.get(unit.toLowerCase());
+}
+
+const COMBINATOR_KEYS: Record<string, string> = {
+  ' ': 'css.selectors.descendant',
+  '>': 'css.selectors.child',
+  '+': 'css.selectors.next-sibling',
+  '~': 'css.selectors.subsequent-sibling',
+  '||': 'css.selectors.column',
+};
+
+/**
+ * Returns the BCD key for a pseudo-class or pseudo-element (`:focus-visible`, `::backdrop`).
+ * Functional forms with their own key (`:host()` -> css.selectors.hostfunction) are preferred when arguments are given.
+ */
+export function findPseudoKey(pseudo: string, hasArguments: boolean): string | undefined {
+  const { keys } = getCssFeatureTable();
+  const key = `css.selectors.${pseudo.replace(/^::?/, '').toLowerCase()}`;
+  if (hasArguments && keys.has(`${key}function`)) return `${key}function`;
+  return keys.has(key) ? key : undefined;
+}
+
+/**
+ * Returns the BCD key for a selector combinator (`>`, `+`, `~`, `||` or a descendant space).
+ */
+export function findCombinatorKey(combinator: string): string | undefined {
+  const key = COMBINATOR_KEYS[combinator.trim() || ' '];
+  return key && getCssFeatureTable().keys.has(key) ? key : undefined;
+}
+
+/**
+ * Returns the BCD key for a selector feature by its path under `css.selectors` (`nesting`, `nth-child.of_syntax`).
+ */
+export function findSelectorKey(path: string): string | undefined {
+  const key = `css.selectors.${path}`;
+  return getCssFeatureTable().keys.has(key) ? key : undefined;
+}
+
+/**
+ * Returns the BCD key for an at-rule feature by its path under `css.at-rules`
+ * (`layer`, `media.prefers-reduced-transparency`, `font-face.size-adjust`).
+ */
+export function findAtRuleKey(path: string): string | undefined {
+  const key = `css.at-rules.${path.toLowerCase()}`;
+  return getCssFeatureTable().keys.has(key) ? key : undefined;
+}
@@ -0,0 +1,133 @@
+import type { NodePath } from '@babel/traverse';
+
+/**
+ * Extraction of CSS written in JavaScript: styled-components and emotion tagged templates and camelCased style objects.
+ */
+
+/**
+ * The CSS of a tagged template, with `${...}` expressions blanked out. `line` and `column` (1-based) are where
+ * the CSS starts in the JS file.
+ */
+export interface StyledTemplate {
+  content: string;
+  line: number;
+  column: number;
+}
+
+interface Position {
+  line: number;
+  column: number;
+}
+
+/**
+ * One property of a style object: `backdropFilter: 'blur(4px)'` -> { property: 'backdrop-filter', value: 'blur(4px)' }.
+ * `value` is undefined when it isn't a literal. Positions follow Babel (0-based columns); `valueStart` is where
+ * the value text starts, after the opening quote.
+ */
+export interface StyleObjectDeclaration {
+  property: string;
+  value?: string;
+  keyLoc: { start: Position; end: Position };
+  valueStart?: Position;
+}
+
+// Tags and functions whose template or object argument is CSS.
+const CSS_TAGS = new Set(['styled', 'css', 'keyframes', 'createGlobalStyle', 'injectGlobal']);
+
+// JSX attributes that take a style object (`css` is emotion's prop).
+const STYLE_ATTRIBUTES = new Set(['style', 'css']);
+
+/**
+ * Returns the CSS of a `styled.div`, `styled(Button)`, `styled.a.attrs(...)`, `css`, `keyframes`
+ * or `createGlobalStyle` tagged template, or undefined for other tags.
+ */
+export function getStyledTemplate(path: NodePath<any>, jsContent: string): StyledTemplate | undefined {
+  const { tag, quasi } = path.node;
+  if (!CSS_TAGS.has(getRootName(tag) || '') || !quasi.loc) return undefined;
+
+  const start = quasi.start + 1; // After the backtick
+  let content = jsContent.slice(start, quasi.end - 1);
+  // Replace each ${...} with a comment of the same length, so positions are kept and postcss can still parse the rest.
+  for (let i = 0; i < quasi.quasis.length - 1; i++) {
+    const from = quasi.quasis[i].end - start;
+    const to = quasi.quasis[i + 1].start - start;
+    const blank = content.slice(from + 2, to - 2).replace(/[^\r\n]/g, ' ');
+    content = content.slice(0, from) + '/*' + blank + '*/' + content.slice(to);
+  }
+  return { content, line: quasi.loc.start.line, column: quasi.loc.start.column + 2 };
+}
+
+/**
+ * Checks whether an object expression is a style object: the value of a JSX `style` or `css` attribute,
+ * or an argument of `css(...)`, `styled.div(...)` or `styled(Button)(...)`.
+ */
+export function isStyleObject(path: NodePath<any>): boolean {
+  const parent = path.parent as any;
+  if (parent.type === 'JSXExpressionContainer') {
+    const attribute = path.parentPath?.parent as any;
+    return attribute?.type === 'JSXAttribute' && STYLE_ATTRIBUTES.has(attribute.name.name);
+  }
+  if (parent.type === 'CallExpression' && parent.arguments.includes(path.node)) {
+    return CSS_TAGS.has(getRootName(parent.callee) || '');
+  }
+  return false;
+}
+
+/**
+ * Lists the declarations of a style object. Nested objects (`'&:hover': {...}`, `'@media (...)': {...}`) are included.
+ */
+export function getStyleObjectDeclarations(node: any): StyleObjectDeclaration[] {
+  const declarations: StyleObjectDeclaration[] = [];
+  for (const property of node.properties) {
+    if (property.type !== 'ObjectProperty' || property.computed || !property.key.loc) continue;
+    const key = property.key.type === 'Identifier' ? property.key.name
+      : property.key.type === 'StringLiteral' ? property.key.value : undefined;
+    if (!key) continue;
+    if (property.value.type === 'ObjectExpression') {
+      declarations.push(...getStyleObjectDeclarations(property.value));
+      continue;
+    }
+    const value = getLiteralValue(property.value);
+    const quoted = property.value.type !== 'NumericLiteral';
+    declarations.push({
+      property: toCssProperty(key),
+      value,
+      keyLoc: property.key.loc,
+      valueStart: value === undefined ? undefined : {
+        line: property.value.loc.start.line,
+        column: property.value.loc.start.column + (quoted ? 1 : 0),
+      },
+    });
+  }
+  return declarations;
+}
+
+/**
+ * Converts a style object key to a CSS property: backdropFilter -> backdrop-filter, WebkitLineClamp -> -webkit-line-clamp.
+ * Custom properties (`--gap`) are kept as they are.
+ */
+function toCssProperty(key: string): string {
+  if (key.startsWith('--')) return key;
+  const kebab = key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+  // msTransform has a lowercase vendor prefix
+  return kebab.startsWith('ms-') ? `-${kebab}` : kebab;
+}
+
+function getLiteralValue(node: any): string | undefined {
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'NumericLiteral') return String(node.value);
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return undefined;
+}
+
+/**
+ * Returns the identifier at the root of a tag or callee: styled.div.attrs(...) -> 'styled', css -> 'css'.
+ */
+function getRootName(node: any): string | undefined {
+  while (node) {
+    if (node.type === 'Identifier') return node.name;
+    node = node.type === 'CallExpression' ? node.callee
+      : node.type === 'MemberExpression' ? node.object : undefined;
+  }
+  return undefined;
+}
@@ -0,0 +1,86 @@
+import { getIndexedFeature, getIndexedFeatureId, getIndexedRedirect, IndexedFeature } from './feature-index.js';
+
+/**
+ * The IDs one feature goes by. Findings are keyed by BCD key (`css.properties.backdrop-filter`), web-features
+ * groups BCD keys into features (`backdrop-filter`), and webstatus.dev lists those same web-features IDs.
+ */
+export interface FeatureIdentity {
+  bcdKey?: string;
+  webFeatureId?: string;
+  webstatusId?: string;
+}
+
+// Placeholder key of generated remediations for features without compat data.
+const UNKNOWN_BCD_PREFIX = 'unknown-bcd:';
+
+const identityCache = new Map<string, FeatureIdentity>();
+
+/**
+ * Returns the indexed feature for an ID, following `moved` redirects. Split features have several
+ * successors, so they don't resolve.
+ */
+function findWebFeature(id: string): IndexedFeature | undefined {
+  let redirect = getIndexedRedirect(id);
+  for (let hops = 0; redirect && hops < 5; hops++) {
+    id = redirect;
+    redirect = getIndexedRedirect(id);
+  }
+  return redirect === null ? undefined : getIndexedFeature(id);
+}
+
+/**
+ * The BCD key that represents a whole feature. Same choice as scripts/generate-remediation-database.mjs,
+ * so it is also the feature's key in the generated remediation database.
+ */
+function getPrimaryBcdKey(feature: IndexedFeature): string | undefined {
+  const compat = feature.compatFeatures;
+  return compat.find(key => key.startsWith('css.properties.')) || compat[0];
+}
+
+/**
+ * Resolves a BCD key, web-features ID or webstatus.dev ID to all three.
+ *
+ * - A BCD key maps to the feature that lists it in `compat_features`. Keys web-features doesn't list
+ *   (`javascript.statements.import.import_attributes.type_css`) map through their closest listed parent.
+ * - A web-features or webstatus ID maps to the feature's primary BCD key.
+ *
+ * IDs that match nothing resolve to `{ bcdKey }` for a BCD key and `{}` otherwise.
+ */
+export function resolveFeatureIdentity(id: string): FeatureIdentity {
+  const cached = identityCache.get(id);
+  if (cached) {
+    return cached;
+  }
+
+  let identity: FeatureIdentity = {};
+  const featureId = id.startsWith(UNKNOWN_BCD_PREFIX) ? id.slice(UNKNOWN_BCD_PREFIX.length) : id;
+  // BCD keys always have a dot; web-features IDs never do.
+  if (!featureId.includes('.')) {
+    const webFeature = findWebFeature(featureId);
+    if (webFeature) {
+      identity = { bcdKey: getPrimaryBcdKey(webFeature), webFeatureId: webFeature.id, webstatusId: webFeature.id };
+    }
+  } else {
+    identity = { bcdKey: featureId };
+    // Stop at two segments: `api.fetch` is a feature's key, only categories like `css.properties` have none.
+    // A BCD key belongs to at most one feature.
+    for (let key = featureId; key.split('.').length >= 2; key = key.slice(0, key.lastIndexOf('.'))) {
+      const webFeatureId = getIndexedFeatureId(key);
+      if (webFeatureId) {
+        identity = { bcdKey: featureId, webFeatureId, webstatusId: webFeatureId };
+        break;
+      }
+    }
+  }
+
+  identityCache.set(id, identity);
+  return identity;
+}
+
+/**
+ * Lists the BCD keys of a web-features (or webstatus) ID.
+ */
+export function getBcdKeysForFeature(webFeatureId: string): string[] {
+  const webFeature = findWebFeature(webFeatureId);
+  return webFeature ? [...webFeature.compatFeatures] : [];
+}
@@ -0,0 +1,235 @@
+import type { FeatureStatus } from './baseline-engine.js';
+import { buildCssFeatureLookups, CssFeatureLookups } from './css-feature-table.js';
+import { buildJsApiLookups, JsApiLookups } from './js-api-table.js';
+import { BrowserId, CORE_BROWSERS } from './targets.js';
+
+/**
+ * A compact index of the web-features data the scanners look up: the web-features ID and Baseline status of each
+ * BCD key, the status, BCD keys and redirects of each feature, core browser releases, and the CSS and JS API
+ * lookup tables built from the BCD keys. scripts/build-feature-index.mjs precompiles it into dist/feature-index.json;
+ * it is read on the first lookup, and web-features itself is only loaded to build it.
+ */
+
+// Bumped when the layout changes, so an index left over from an older build is rebuilt instead of misread.
+const INDEX_FORMAT = 2;
+
+// A Baseline status: level, low and high dates, then the first supporting version of each core browser.
+type StatusRow = [baseline: 'high' | 'low' | false, lowDate: string | null, highDate: string | null, ...support: (string | null)[]];
+
+export interface FeatureIndex {
+  format: number;
+  features: string[]; // web-features IDs, referenced by position
+  featureStatuses: number[]; // Status of each feature, by position (-1 without status)
+  statuses: StatusRow[]; // Distinct statuses, referenced by position. Most keys share theirs with others.
+  keys: Record<string, [feature: number, status: number]>; // BCD key -> feature and status (-1 without status)
+  redirects: Record<string, string | null>; // Moved feature -> its successor; split features map to null
+  mdnUrls: Record<string, string>; // web-features ID -> MDN page, for the features that have one
+  releases: Record<BrowserId, [date: string, version: string][]>; // Core browser releases, oldest first
+  jsMembers: Record<string, string>; // JS member name -> first BCD key ending in it
+  cssProperties: Record<string, string>; // CSS property -> web-features ID
+  css: CssFeatureLookups;
+  js: JsApiLookups;
+}
+
+/**
+ * A feature with compat data of its own.
+ */
+export interface IndexedFeature {
+  id: string;
+  compatFeatures: string[];
+  status?: FeatureStatus;
+  mdnUrl?: string;
+}
+
+let featureIndex: FeatureIndex | undefined;
+let featureKeys: Map<string, string[]> | undefined;
+let featurePositions: Map<string, number> | undefined;
+
+function toStatusRow(status: any): StatusRow {
+  return [
+    status.baseline,
+    status.baseline_low_date ?? null,
+    status.baseline_high_date ?? null,
+    ...CORE_BROWSERS.map(browser => status.support?.[browser] ?? null),
+  ];
+}
+
+function fromStatusRow([baseline, lowDate, highDate, ...support]: StatusRow): FeatureStatus {
+  const status: FeatureStatus = { baseline, support: {} };
+  if (lowDate) status.baseline_low_date = lowDate;
+  if (highDate) status.baseline_high_date = highDate;
+  CORE_BROWSERS.forEach((browser, i) => {
+    if (support[i]) status.support[browser] = support[i]!;
+  });
+  return status;
+}
+
+/**
+ * Builds the index from the installed web-features data, which carries a precomputed status per BCD key.
+ * This is the only place web-features is loaded; it runs at build time, or at runtime before a build.
+ */
+export function buildFeatureIndex(): FeatureIndex {
+  const { browsers, features } = require('web-features');
+  const index: FeatureIndex = {
+    format: INDEX_FORMAT,
+    features: [],
+    featureStatuses: [],
+    statuses: [],
+    keys: {},
+    redirects: {},
+    mdnUrls: {},
+    releases: {} as FeatureIndex['releases'],
+    jsMembers: {},
+    cssProperties: {},
+    css: { functions: {}, units: {} },
+    js: { globals: {}, interfaces: {}, instances: {}, members: {} },
+  };
+  const statusPositions = new Map<string, number>();
+  const addStatus = (status: any): number => {
+    if (!status) return -1;
+    const row = toStatusRow(status);
+    const serialized = JSON.stringify(row);
+    const position = statusPositions.get(serialized) ?? index.statuses.push(row) - 1;
+    statusPositions.set(serialized, position);
+    return position;
+  };
+  // Maps, since member names include `constructor` and `toString`
+  const jsMembers = new Map<string, string>();
+  const cssProperties = new Map<string, string>();
+  const mdnUrls = new Map<string, string>();
+
+  for (const [id, feature] of Object.entries(features) as [string, any][]) {
+    if (feature.kind === 'moved' || feature.kind === 'split') {
+      index.redirects[id] = feature.kind === 'moved' ? feature.redirect_target : null;
+      continue;
+    }
+    if (!feature.compat_features) continue;
+    const featurePosition = index.features.push(id) - 1;
+    index.featureStatuses.push(addStatus(feature.status));
+    if (feature.mdn_url) mdnUrls.set(id, feature.mdn_url);
+    for (const key of feature.compat_features as string[]) {
+      index.keys[key] = [featurePosition, addStatus(feature.status?.by_compat_key?.[key])];
+
+      const member = key.slice(key.lastIndexOf('.') + 1);
+      if (!jsMembers.has(member)) jsMembers.set(member, key);
+      if (/^css\.properties\.[^.]+$/.test(key) && !cssProperties.has(member)) cssProperties.set(member, id);
+    }
+  }
+
+  for (const browser of CORE_BROWSERS) {
+    const releases: { date: string; version: string }[] = browsers[browser]?.releases || [];
+    index.releases[browser] = releases.map(release => [release.date, release.version]);
+  }
+  const keys = Object.keys(index.keys);
+  index.jsMembers = Object.fromEntries(jsMembers);
+  index.cssProperties = Object.fromEntries(cssProperties);
+  index.mdnUrls = Object.fromEntries(mdnUrls);
+  index.css = buildCssFeatureLookups(keys);
+  index.js = buildJsApiLookups(keys);
+  return index;
+}
+
+/**
+ * Returns the index, reading the precompiled one on first use. Running from source (before a build),
+ * it is built in memory instead.
+ */
+export function getFeatureIndex(): FeatureIndex {
+  if (!featureIndex) {
+    try {
+      const precompiled = require('./feature-index.json');
+      if (precompiled.format === INDEX_FORMAT) {
+        featureIndex = precompiled as FeatureIndex;
+      }
+    } catch (e) {
+      // Not built yet
+    }
+    featureIndex = featureIndex || buildFeatureIndex();
+  }
+  return featureIndex;
+}
+
+function lookup<T>(record: Record<string, T>, name: string): T | undefined {
+  return Object.prototype.hasOwnProperty.call(record, name) ? record[name] : undefined;
+}
+
+/**
+ * Returns the web-features ID that lists a BCD key in its `compat_features`.
+ */
+export function getIndexedFeatureId(bcdKey: string): string | undefined {
+  const index = getFeatureIndex();
+  const entry = lookup(index.keys, bcdKey);
+  return entry ? index.features[entry[0]] : undefined;
+}
+
+/**
+ * Returns the status of a BCD key, or undefined when web-features doesn't list the key.
+ */
+export function getIndexedStatus(bcdKey: string): FeatureStatus | undefined {
+  const index = getFeatureIndex();
+  const entry = lookup(index.keys, bcdKey);
+  return entry && entry[1] !== -1 ? fromStatusRow(index.statuses[entry[1]]) : undefined;
+}
+
+/**
+ * Returns a feature with compat data of its own. Moved and split features are not included (see getIndexedRedirect).
+ */
+export function getIndexedFeature(webFeatureId: string): IndexedFeature | undefined {
+  const index = getFeatureIndex();
+  if (!featurePositions || !featureKeys) {
+    featurePositions = new Map(index.features.map((id, position) => [id, position]));
+    featureKeys = new Map();
+    for (const [key, [position]] of Object.entries(index.keys)) {
+      const id = index.features[position];
+      const keys = featureKeys.get(id) || [];
+      keys.push(key);
+      featureKeys.set(id, keys);
+    }
+  }
+  const position = featurePositions.get(webFeatureId);
+  if (position === undefined) {
+    return undefined;
+  }
+  const statusPosition = index.featureStatuses[position];
+  return {
+    id: webFeatureId,
+    compatFeatures: featureKeys.get(webFeatureId) || [],
+    status: statusPosition === -1 ? undefined : fromStatusRow(index.statuses[statusPosition]),
+    mdnUrl: lookup(index.mdnUrls, webFeatureId),
+  };
+}
+
+/**
+ * Returns the successor of a moved feature, null for a split feature (which has several),
+ * and undefined for any other ID.
+ */
+export function getIndexedRedirect(webFeatureId: string): string | null | undefined {
+  return lookup(getFeatureIndex().redirects, webFeatureId);
+}
+
+/**
+ * Returns the releases of a core browser, oldest first.
+ */
+export function getIndexedReleases(browser: BrowserId): { date: string; version: string }[] {
+  return (getFeatureIndex().releases[browser] || []).map(([date, version]) => ({ date, version }));
+}
+
+/**
+ * Returns the first BCD key that ends in a JS member name (`share` -> `api.Navigator.share`).
+ */
+export function findIndexedJsMember(memberName: string): string | undefined {
+  return lookup(getFeatureIndex().jsMembers, memberName);
+}
+
+/**
+ * Returns the web-features ID of a CSS property (`backdrop-filter` -> `backdrop-filter`).
+ */
+export function findIndexedCssProperty(propertyName: string): string | undefined {
+  return lookup(getFeatureIndex().cssProperties, propertyName);
+}
+
+/**
+ * Returns the BCD keys web-features lists under any of the prefixes (`css.`, `html.`), in index order.
+ */
+export function getIndexedKeys(...prefixes: string[]): string[] {
+  return Object.keys(getFeatureIndex().keys).filter(key => prefixes.some(prefix => key.startsWith(prefix)));
+}
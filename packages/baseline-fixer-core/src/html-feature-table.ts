@@ -0,0 +1,46 @@
+import { getIndexedKeys } from './feature-index.js';
+
+let keys: Set<string> | undefined;
+
+/**
+ * Returns the `html.*` BCD keys that web-features lists in `compat_features`, read (once) from the feature index.
+ */
+export function getHtmlFeatureKeys(): Set<string> {
+  keys = keys || new Set(getIndexedKeys('html.'));
+  return keys;
+}
+
+/**
+ * Returns the BCD key for an element (`dialog` -> html.elements.dialog).
+ */
+export function findElementKey(tagName: string): string | undefined {
+  const key = `html.elements.${tagName.toLowerCase()}`;
+  return getHtmlFeatureKeys().has(key) ? key : undefined;
+}
+
+/**
+ * Returns the BCD key for an attribute. Element-specific keys (html.elements.img.fetchpriority)
+ * win over global attributes (html.global_attributes.popover).
+ */
+export function findAttributeKey(tagName: string, attrName: string): string | undefined {
+  const htmlKeys = getHtmlFeatureKeys();
+  const elementKey = `html.elements.${tagName.toLowerCase()}.${attrName.toLowerCase()}`;
+  if (htmlKeys.has(elementKey)) return elementKey;
+  const globalKey = `html.global_attributes.${attrName.toLowerCase()}`;
+  return htmlKeys.has(globalKey) ? globalKey : undefined;
+}
+
+/**
+ * Returns the BCD key for one value of an attribute: `<link rel="modulepreload">` -> html.elements.link.rel.modulepreload,
+ * `<input type="date">` -> html.elements.input.type_date, `popover="hint"` -> html.global_attributes.popover.hint.
+ */
+export function findAttributeValueKey(tagName: string, attrName: string, value: string): string | undefined {
+  const htmlKeys = getHtmlFeatureKeys();
+  const tag = tagName.toLowerCase();
+  const attr = attrName.toLowerCase();
+  const lowerValue = value.toLowerCase();
+  const candidates = tag === 'input' && attr === 'type'
+    ? [`html.elements.input.type_${lowerValue}`]
+    : [`html.elements.${tag}.${attr}.${lowerValue}`, `html.global_attributes.${attr}.${lowerValue}`];
+  return candidates.find(key => htmlKeys.has(key));
+}
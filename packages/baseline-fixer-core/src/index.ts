@@ -1,18 +1,81 @@
-import postcss from 'postcss';
+import postcss, { AtRule, Declaration, Parser, Root, Rule } from 'postcss';
+import postcssScss from 'postcss-scss';
+import postcssLess from 'postcss-less';
+import postcssSass from 'postcss-sass';
+import valueParser from 'postcss-value-parser';
+import selectorParser from 'postcss-selector-parser';
 import { parse } from '@babel/parser';
 // CORRECTED IMPORT: Import the module and handle the default export manually.
 import _traverse, { NodePath } from '@babel/traverse';
-import { isJsPropertyBaseline } from './baseline-engine.js';
-import { features } from 'web-features';
+import { isJsPropertyBaseline, checkFeatureAgainstTarget, getFeatureStatus } from './baseline-engine.js';
+import { resolveTarget, describeTarget, BaselineTarget } from './targets.js';
+import {
+  getJsApiTable,
+  findStaticKey,
+  findMemberKey,
+  findConstructorKey,
+  describeMemberKey,
+  GLOBAL_ALIASES,
+} from './js-api-table.js';
+import {
+  findKeywordKey,
+  findFunctionKey,
+  findUnitKey,
+  findPseudoKey,
+  findCombinatorKey,
+  findSelectorKey,
+  findAtRuleKey,
+} from './css-feature-table.js';
+import { findElementKey, findAttributeKey, findAttributeValueKey } from './html-feature-table.js';
+import { createReceiverTypeResolver, ReceiverTypeResolver } from './type-checker.js';
+import { splitSfc, SfcLanguage, JS_SCRIPT_TYPES } from './sfc.js';
+import { isFeatureGuarded } from './js-guards.js';
+import { collectSyntaxFeatures, SYNTAX_NODE_TYPES } from './js-syntax.js';
+import { getBuildHandler, ProjectBuild } from './build-config.js';
+import { parseSourceMap, findOriginalLocation, OriginalLocation } from './source-map.js';
+import { resolveFeatureIdentity } from './feature-identity.js';
+import { getIndexedFeature } from './feature-index.js';
+import {
+  getStyledTemplate,
+  isStyleObject,
+  getStyleObjectDeclarations,
+  StyledTemplate,
+  StyleObjectDeclaration,
+} from './css-in-js.js';
 import * as parse5 from 'parse5';
 
 const traverse = (_traverse as any).default || _traverse;
 
+export { resolveTarget, describeTarget, findProjectTargets, DEFAULT_TARGET_QUERY, CORE_BROWSERS } from './targets.js';
+export type { BaselineTarget, BrowserId, ProjectTargets } from './targets.js';
+export { getFeatureStatus, checkFeatureAgainstTarget, getCompatDataVersion } from './baseline-engine.js';
+export type { FeatureStatus, TargetCheck } from './baseline-engine.js';
+export type { SfcLanguage } from './sfc.js';
+export { findProjectBuild } from './build-config.js';
+export type { ProjectBuild, JsTranspiler, CssTransformer } from './build-config.js';
+export { getFileScanOptions } from './scan-options.js';
+export { getSourceMappingUrl } from './source-map.js';
+export type { OriginalLocation, SourceOrigin } from './source-map.js';
+export { resolveFeatureIdentity, getBcdKeysForFeature } from './feature-identity.js';
+export type { FeatureIdentity } from './feature-identity.js';
+export { getFeatureSupport, getRequiredVersions, scoreFeatureSupport, summarizeCompatibility } from './browser-support.js';
+export { getGlobalUsage, parseUsageData, getAffectedShare, formatAffectedShare, describeAffectedShare } from './browser-usage.js';
+export type { UsageData } from './browser-usage.js';
+export type {
+  BrowserSupport,
+  FeatureSupport,
+  SupportStatus,
+  CompatibilityScores,
+  FeatureCompatibility,
+  CodebaseCompatibility,
+} from './browser-support.js';
+
 // ==================================================================================
 // 1. RICH DATA MODELS
 // ==================================================================================
 
 export type FeatureType = 'css-property' | 'js-property';
+export type Confidence = 'high' | 'medium' | 'low';
 export type FixType =
   | 'add-css-declaration'
   | 'replace-property'
@@ -44,7 +107,10 @@ export interface Remediation {
  * It includes a reference to the fix that can resolve it.
  */
 export interface Finding {
-  featureId: string;
+  featureId: string; // The detected feature, usually a BCD key
+  bcdKey?: string; // BCD key, web-features ID and webstatus.dev ID of the feature (see resolveFeatureIdentity)
+  webFeatureId?: string;
+  webstatusId?: string;
   type: FeatureType;
   message: string;
   line: number;
@@ -53,6 +119,62 @@ export interface Finding {
   endColumn: number;
   fixId: string; // Points to a key in the RemediationDatabase
   mdnUrl?: string; // Add a new optional property for the MDN URL
+  baseline?: 'high' | 'low' | false; // Baseline status of the feature, when compat data is available
+  unsupportedBrowsers?: string[]; // Target browsers that don't support the feature
+  confidence?: Confidence; // How sure the scanner is that the code uses this feature. Missing means 'high'.
+  guarded?: boolean; // The usage only applies where the feature is supported (a matching @supports, JS feature detection)
+  handledBy?: string; // The build tool that rewrites the feature for the targets (Babel, TypeScript, Autoprefixer, ...)
+  original?: OriginalLocation; // Bundle scans: where the source map says the code comes from
+}
+
+/**
+ * Options shared by all scanners.
+ */
+export interface ScanOptions {
+  /**
+   * What the code has to run on: "baseline widely available", "baseline newly available",
+   * "baseline 2023" or a browserslist query. Defaults to Baseline newly available.
+   */
+  targets?: string | string[];
+  /**
+   * Resolve member receivers with the TypeScript checker (TypeScript files only), so that e.g. `.at()`
+   * is only reported on a real Array. Slower than the default heuristic matching.
+   */
+  typeAware?: boolean;
+  /**
+   * Path of the scanned file. In type-aware mode, imports are resolved relative to it.
+   */
+  filePath?: string;
+  /**
+   * Drop findings below this confidence. Heuristic JS member matches (`x.at()` on an unknown receiver)
+   * are 'low'; matches resolved through a known global, constructor or type are 'high'. Defaults to 'low'.
+   */
+  minConfidence?: Confidence;
+  /**
+   * The project's build toolchain (see findProjectBuild). Syntax and CSS features it rewrites for the targets
+   * are marked `handledBy` instead of being reported as issues.
+   */
+  build?: ProjectBuild;
+}
+
+/**
+ * Confidence levels from lowest to highest.
+ */
+export const CONFIDENCE_LEVELS: Confidence[] = ['low', 'medium', 'high'];
+
+/**
+ * Checks whether a finding is at least as confident as the given minimum.
+ */
+export function meetsConfidence(finding: Finding, minConfidence: Confidence = 'low'): boolean {
+  return CONFIDENCE_LEVELS.indexOf(finding.confidence || 'high') >= CONFIDENCE_LEVELS.indexOf(minConfidence);
+}
+
+/**
+ * Checks whether a finding is an issue. Guarded uses are progressive enhancement and features the build
+ * rewrites never reach the browser as written, so neither counts towards totals, scores or exit codes.
+ */
+export function isIssue(finding: Finding): boolean {
+  return !finding.guarded && !finding.handledBy;
 }
 
 // ==================================================================================
@@ -85,8 +207,8 @@ const MANUAL_REMEDIATIONS: Record<string, Remediation> = {
       },
     ],
   },
-  'css.properties.text-wrap': {
-    featureId: 'css.properties.text-wrap',
+  'css.properties.text-wrap.balance': {
+    featureId: 'css.properties.text-wrap.balance',
     fixes: [
       {
         type: 'remove-css-declaration',
@@ -95,19 +217,6 @@ const MANUAL_REMEDIATIONS: Record<string, Remediation> = {
       },
     ],
   },
-  'css.properties.color-mix': {
-    featureId: 'css.properties.color-mix',
-    fixes: [
-      {
-        type: 'add-comment-warning',
-        description: "Warn that 'color-mix()' needs a fallback.",
-        payload: {
-          message:
-            "WARNING: 'color-mix()' is not Baseline. Provide a fallback color. (baseline-disable-next-line css.properties.color-mix)",
-        },
-      },
-    ],
-  },
   'css.properties.grid-template-rows': {
     featureId: 'css.properties.grid-template-rows',
     fixes: [
@@ -326,62 +435,62 @@ const MANUAL_REMEDIATIONS: Record<string, Remediation> = {
 
   // --- CSS Functions & At-Rules ---
 
-  'css.functions.oklch': {
-    featureId: 'css.functions.oklch',
+  'css.types.color.oklch': {
+    featureId: 'css.types.color.oklch',
     fixes: [
       {
         type: 'add-comment-warning',
         description: "Warn that 'oklch()' needs a fallback color.",
         payload: {
-          message: "WARNING: 'oklch()' is not Baseline. Provide a fallback `rgba()` color. (baseline-disable-next-line css.functions.oklch)",
+          message: "WARNING: 'oklch()' is not Baseline. Provide a fallback `rgba()` color. (baseline-disable-next-line css.types.color.oklch)",
         },
       },
     ],
   },
-  'css.functions.color-mix': {
-    featureId: 'css.functions.color-mix',
+  'css.types.color.color-mix': {
+    featureId: 'css.types.color.color-mix',
     fixes: [
       {
         type: 'add-comment-warning',
         description: "Warn that 'color-mix()' needs a fallback color.",
         payload: {
-          message: "WARNING: 'color-mix()' is not Baseline. Provide a fallback color. (baseline-disable-next-line css.functions.color-mix)",
+          message: "WARNING: 'color-mix()' is not Baseline. Provide a fallback color. (baseline-disable-next-line css.types.color.color-mix)",
         },
       },
     ],
   },
-  'css.functions.sin': {
-    featureId: 'css.functions.sin',
+  'css.types.sin': {
+    featureId: 'css.types.sin',
     fixes: [
       {
         type: 'add-comment-warning',
         description: 'Warn that CSS trig functions need fallbacks.',
         payload: {
-          message: 'WARNING: CSS trig functions are not Baseline. Provide a static fallback. (baseline-disable-next-line css.functions.sin)',
+          message: 'WARNING: CSS trig functions are not Baseline. Provide a static fallback. (baseline-disable-next-line css.types.sin)',
         },
       },
     ],
   },
-  'css.functions.conic-gradient': {
-      featureId: 'css.functions.conic-gradient',
+  'css.types.gradient.conic-gradient': {
+      featureId: 'css.types.gradient.conic-gradient',
       fixes: [
           {
               type: 'add-comment-warning',
               description: "Acknowledge warning for 'conic-gradient()'.",
               payload: {
-                  message: "WARNING: 'conic-gradient()' is not Baseline. Provide a fallback image. (baseline-disable-next-line css.functions.conic-gradient)"
+                  message: "WARNING: 'conic-gradient()' is not Baseline. Provide a fallback image. (baseline-disable-next-line css.types.gradient.conic-gradient)"
               }
           }
       ]
   },
-  'css.functions.clamp': {
-      featureId: 'css.functions.clamp',
+  'css.types.clamp': {
+      featureId: 'css.types.clamp',
       fixes: [
           {
               type: 'add-comment-warning',
               description: "Acknowledge warning for 'clamp()'.",
               payload: {
-                  message: "WARNING: 'clamp()' is not Baseline. Provide a media query fallback. (baseline-disable-next-line css.functions.clamp)"
+                  message: "WARNING: 'clamp()' is not Baseline. Provide a media query fallback. (baseline-disable-next-line css.types.clamp)"
               }
           }
       ]
@@ -451,26 +560,26 @@ const MANUAL_REMEDIATIONS: Record<string, Remediation> = {
       },
     ],
   },
-  'api.Object.hasOwn': {
-    featureId: 'api.Object.hasOwn',
+  'javascript.builtins.Object.hasOwn': {
+    featureId: 'javascript.builtins.Object.hasOwn',
     fixes: [
       {
         type: 'recommend-polyfill',
         description: "Recommend polyfill for 'Object.hasOwn'.",
         payload: {
-          message: "TIP: 'Object.hasOwn' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.Object.hasOwn)",
+          message: "TIP: 'Object.hasOwn' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.Object.hasOwn)",
         },
       },
     ],
   },
-  'api.Array.at': {
-    featureId: 'api.Array.at',
+  'javascript.builtins.Array.at': {
+    featureId: 'javascript.builtins.Array.at',
     fixes: [
       {
         type: 'recommend-polyfill',
         description: "Recommend polyfill for 'Array.prototype.at()'.",
         payload: {
-          message: "TIP: 'Array.prototype.at()' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.Array.at)",
+          message: "TIP: 'Array.prototype.at()' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.Array.at)",
         },
       },
     ],
@@ -487,50 +596,50 @@ const MANUAL_REMEDIATIONS: Record<string, Remediation> = {
       },
     ],
   },
-  'api.Promise.withResolvers': {
-    featureId: 'api.Promise.withResolvers',
+  'javascript.builtins.Promise.withResolvers': {
+    featureId: 'javascript.builtins.Promise.withResolvers',
     fixes: [
       {
         type: 'recommend-polyfill',
         description: "Recommend polyfill for 'Promise.withResolvers'.",
         payload: {
-          message: "TIP: 'Promise.withResolvers' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.Promise.withResolvers)",
+          message: "TIP: 'Promise.withResolvers' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.Promise.withResolvers)",
         },
       },
     ],
   },
-  'api.Temporal': {
-    featureId: 'api.Temporal',
+  'javascript.builtins.Temporal': {
+    featureId: 'javascript.builtins.Temporal',
     fixes: [
       {
         type: 'recommend-polyfill',
         description: "Recommend polyfill for the 'Temporal' API.",
         payload: {
-          message: "TIP: The 'Temporal' API is not Baseline. Consider the 'temporal-polyfill'. (baseline-disable-next-line api.Temporal)",
+          message: "TIP: The 'Temporal' API is not Baseline. Consider the 'temporal-polyfill'. (baseline-disable-next-line javascript.builtins.Temporal)",
         },
       },
     ],
   },
-  'api.Array.fromAsync': {
-    featureId: 'api.Array.fromAsync',
+  'javascript.builtins.Array.fromAsync': {
+    featureId: 'javascript.builtins.Array.fromAsync',
     fixes: [
       {
         type: 'recommend-polyfill',
         description: "Recommend polyfill for 'Array.fromAsync'.",
         payload: {
-          message: "TIP: 'Array.fromAsync' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.Array.fromAsync)",
+          message: "TIP: 'Array.fromAsync' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.Array.fromAsync)",
         },
       },
     ],
   },
-  'api.Intl.Segmenter': {
-    featureId: 'api.Intl.Segmenter',
+  'javascript.builtins.Intl.Segmenter': {
+    featureId: 'javascript.builtins.Intl.Segmenter',
     fixes: [
       {
         type: 'recommend-polyfill',
         description: "Recommend polyfill for 'Intl.Segmenter'.",
         payload: {
-          message: "TIP: 'Intl.Segmenter' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.Intl.Segmenter)",
+          message: "TIP: 'Intl.Segmenter' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.Intl.Segmenter)",
         },
       },
     ],
@@ -548,98 +657,98 @@ const MANUAL_REMEDIATIONS: Record<string, Remediation> = {
       },
     ],
   },
-  'api.WeakRef': {
-    featureId: 'api.WeakRef',
+  'javascript.builtins.WeakRef': {
+    featureId: 'javascript.builtins.WeakRef',
     fixes: [
       {
         type: 'recommend-polyfill',
         description: "Recommend polyfill for 'WeakRef'.",
         payload: {
-          message: "TIP: 'WeakRef' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.WeakRef)",
+          message: "TIP: 'WeakRef' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.WeakRef)",
         },
       },
     ],
   },
-  'api.FinalizationRegistry': {
-    featureId: 'api.FinalizationRegistry',
+  'javascript.builtins.FinalizationRegistry': {
+    featureId: 'javascript.builtins.FinalizationRegistry',
     fixes: [
       {
         type: 'recommend-polyfill',
         description: "Recommend polyfill for 'FinalizationRegistry'.",
         payload: {
-          message: "TIP: 'FinalizationRegistry' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.FinalizationRegistry)",
+          message: "TIP: 'FinalizationRegistry' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.FinalizationRegistry)",
         },
       },
     ],
   },
-  'api.Array.findLast': {
-    featureId: 'api.Array.findLast',
+  'javascript.builtins.Array.findLast': {
+    featureId: 'javascript.builtins.Array.findLast',
     fixes: [
       {
         type: 'recommend-polyfill',
         description: "Recommend polyfill for 'Array.prototype.findLast()'.",
         payload: {
-          message: "TIP: '.findLast()' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.Array.findLast)",
+          message: "TIP: '.findLast()' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.Array.findLast)",
         },
       },
     ],
   },
-  'api.Array.toReversed': {
-    featureId: 'api.Array.toReversed',
+  'javascript.builtins.Array.toReversed': {
+    featureId: 'javascript.builtins.Array.toReversed',
     fixes: [
       {
         type: 'recommend-polyfill',
         description: "Recommend polyfill for 'Array.prototype.toReversed()'.",
         payload: {
-          message: "TIP: '.toReversed()' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.Array.toReversed)",
+          message: "TIP: '.toReversed()' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.Array.toReversed)",
         },
       },
     ],
   },
-  'api.Array.toSorted': {
-    featureId: 'api.Array.toSorted',
+  'javascript.builtins.Array.toSorted': {
+    featureId: 'javascript.builtins.Array.toSorted',
     fixes: [
       {
         type: 'recommend-polyfill',
         description: "Recommend polyfill for 'Array.prototype.toSorted()'.",
         payload: {
-          message: "TIP: '.toSorted()' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.Array.toSorted)",
+          message: "TIP: '.toSorted()' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.Array.toSorted)",
         },
       },
     ],
   },
-  'api.Array.toSpliced': {
-    featureId: 'api.Array.toSpliced',
+  'javascript.builtins.Array.toSpliced': {
+    featureId: 'javascript.builtins.Array.toSpliced',
     fixes: [
       {
         type: 'recommend-polyfill',
         description: "Recommend polyfill for 'Array.prototype.toSpliced()'.",
         payload: {
-          message: "TIP: '.toSpliced()' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.Array.toSpliced)",
+          message: "TIP: '.toSpliced()' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.Array.toSpliced)",
         },
       },
     ],
   },
-  'api.Array.with': {
-    featureId: 'api.Array.with',
+  'javascript.builtins.Array.with': {
+    featureId: 'javascript.builtins.Array.with',
     fixes: [
       {
         type: 'recommend-polyfill',
         description: "Recommend polyfill for 'Array.prototype.with()'.",
         payload: {
-          message: "TIP: '.with()' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.Array.with)",
+          message: "TIP: '.with()' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.Array.with)",
         },
       },
     ],
   },
-  'api.Error.cause': {
-    featureId: 'api.Error.cause',
+  'javascript.builtins.Error.cause': {
+    featureId: 'javascript.builtins.Error.cause',
     fixes: [
       {
         type: 'recommend-polyfill',
         description: "Recommend polyfill for 'Error.cause'.",
         payload: {
-          message: "TIP: 'Error.cause' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.Error.cause)",
+          message: "TIP: 'Error.cause' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.Error.cause)",
         },
       },
     ],
@@ -693,15 +802,15 @@ const MANUAL_REMEDIATIONS: Record<string, Remediation> = {
       },
     ],
   },
-  'api.Navigator.getDisplayMedia': {
-    featureId: 'api.Navigator.getDisplayMedia',
+  'api.MediaDevices.getDisplayMedia': {
+    featureId: 'api.MediaDevices.getDisplayMedia',
     fixes: [
       {
         type: 'add-comment-warning',
         description: "Warn that 'getDisplayMedia' requires feature detection.",
         payload: {
           message:
-            "WARNING: 'getDisplayMedia' is not Baseline. Wrap calls in a feature detection block. (baseline-disable-next-line api.Navigator.getDisplayMedia)",
+            "WARNING: 'getDisplayMedia' is not Baseline. Wrap calls in a feature detection block. (baseline-disable-next-line api.MediaDevices.getDisplayMedia)",
         },
       },
     ],
@@ -815,230 +924,194 @@ const MANUAL_REMEDIATIONS: Record<string, Remediation> = {
           }
       ]
   },
-  'api.globalThis': {
-      featureId: 'api.globalThis',
+  'javascript.builtins.globalThis': {
+      featureId: 'javascript.builtins.globalThis',
       fixes: [
           {
               type: 'recommend-polyfill',
               description: "Recommend polyfill for 'globalThis'.",
               payload: {
-                  message: "TIP: 'globalThis' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.globalThis)"
+                  message: "TIP: 'globalThis' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.globalThis)"
               }
           }
       ]
   },
-  'api.Promise.any': {
-      featureId: 'api.Promise.any',
+  'javascript.builtins.Promise.any': {
+      featureId: 'javascript.builtins.Promise.any',
       fixes: [
           {
               type: 'recommend-polyfill',
               description: "Recommend polyfill for 'Promise.any'.",
               payload: {
-                  message: "TIP: 'Promise.any' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.Promise.any)"
+                  message: "TIP: 'Promise.any' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.Promise.any)"
               }
           }
       ]
   },
-  'api.Promise.allSettled': {
-      featureId: 'api.Promise.allSettled',
+  'javascript.builtins.Promise.allSettled': {
+      featureId: 'javascript.builtins.Promise.allSettled',
       fixes: [
           {
               type: 'recommend-polyfill',
               description: "Recommend polyfill for 'Promise.allSettled'.",
               payload: {
-                  message: "TIP: 'Promise.allSettled' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.Promise.allSettled)"
+                  message: "TIP: 'Promise.allSettled' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.Promise.allSettled)"
               }
           }
       ]
   },
-  'api.String.matchAll': {
-      featureId: 'api.String.matchAll',
+  'javascript.builtins.String.matchAll': {
+      featureId: 'javascript.builtins.String.matchAll',
       fixes: [
           {
               type: 'recommend-polyfill',
               description: "Recommend polyfill for 'String.prototype.matchAll'.",
               payload: {
-                  message: "TIP: '.matchAll()' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.String.matchAll)"
+                  message: "TIP: '.matchAll()' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.String.matchAll)"
               }
           }
       ]
   },
-  'api.String.replaceAll': {
-      featureId: 'api.String.replaceAll',
+  'javascript.builtins.String.replaceAll': {
+      featureId: 'javascript.builtins.String.replaceAll',
       fixes: [
           {
               type: 'recommend-polyfill',
               description: "Recommend polyfill for 'String.prototype.replaceAll'.",
               payload: {
-                  message: "TIP: '.replaceAll()' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.String.replaceAll)"
+                  message: "TIP: '.replaceAll()' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.String.replaceAll)"
               }
           }
       ]
   },
-  'api.BigInt': {
-      featureId: 'api.BigInt',
+  'javascript.builtins.BigInt': {
+      featureId: 'javascript.builtins.BigInt',
       fixes: [
           {
               type: 'recommend-polyfill',
               description: "Acknowledge warning for 'BigInt'.",
               payload: {
-                  message: "TIP: 'BigInt' is not Baseline and cannot be polyfilled. Check for browser support. (baseline-disable-next-line api.BigInt)"
+                  message: "TIP: 'BigInt' is not Baseline and cannot be polyfilled. Check for browser support. (baseline-disable-next-line javascript.builtins.BigInt)"
               }
           }
       ]
   },
-  'api.Object.fromEntries': {
-      featureId: 'api.Object.fromEntries',
+  'javascript.builtins.Object.fromEntries': {
+      featureId: 'javascript.builtins.Object.fromEntries',
       fixes: [
           {
               type: 'recommend-polyfill',
               description: "Recommend polyfill for 'Object.fromEntries'.",
               payload: {
-                  message: "TIP: 'Object.fromEntries' is not Baseline. Consider a polyfill. (baseline-disable-next-line api.Object.fromEntries)"
+                  message: "TIP: 'Object.fromEntries' is not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.Object.fromEntries)"
               }
           }
       ]
   },
-  'api.Array.flat': {
-      featureId: 'api.Array.flat',
+  'javascript.builtins.Array.flat': {
+      featureId: 'javascript.builtins.Array.flat',
       fixes: [
           {
               type: 'recommend-polyfill',
               description: "Recommend polyfill for 'Array.prototype.flat()'.",
               payload: {
-                  message: "TIP: '.flat()' and '.flatMap()' are not Baseline. Consider a polyfill. (baseline-disable-next-line api.Array.flat)"
-              }
-          }
-      ]
-  },
-  'api.Symbol': {
-      featureId: 'api.Symbol',
-      fixes: [
-          {
-              type: 'recommend-polyfill',
-              description: "Recommend polyfill for 'Symbol'.",
-              payload: {
-                  message: "TIP: 'Symbol' is not fully Baseline. Consider a polyfill. (baseline-disable-next-line api.Symbol)"
-              }
-          }
-      ]
-  },
-  'api.Map': {
-      featureId: 'api.Map',
-      fixes: [
-          {
-              type: 'recommend-polyfill',
-              description: "Recommend polyfill for 'Map'.",
-              payload: {
-                  message: "TIP: 'Map' is not fully Baseline. Consider a polyfill. (baseline-disable-next-line api.Map)"
-              }
-          }
-      ]
-  },
-  'api.Set': {
-      featureId: 'api.Set',
-      fixes: [
-          {
-              type: 'recommend-polyfill',
-              description: "Recommend polyfill for 'Set'.",
-              payload: {
-                  message: "TIP: 'Set' is not fully Baseline. Consider a polyfill. (baseline-disable-next-line api.Set)"
+                  message: "TIP: '.flat()' and '.flatMap()' are not Baseline. Consider a polyfill. (baseline-disable-next-line javascript.builtins.Array.flat)"
               }
           }
       ]
   },
-  'api.navigator.clipboard': {
-      featureId: 'api.navigator.clipboard',
+  'api.Navigator.clipboard': {
+      featureId: 'api.Navigator.clipboard',
       fixes: [
           {
               type: 'add-comment-warning',
               description: "Acknowledge warning for 'Clipboard API'.",
               payload: {
-                  message: "WARNING: The Clipboard API is not Baseline. Wrap calls in feature detection and handle permissions. (baseline-disable-next-line api.navigator.clipboard)"
+                  message: "WARNING: The Clipboard API is not Baseline. Wrap calls in feature detection and handle permissions. (baseline-disable-next-line api.Navigator.clipboard)"
               }
           }
       ]
   },
-  'api.navigator.connection': {
-      featureId: 'api.navigator.connection',
+  'api.Navigator.connection': {
+      featureId: 'api.Navigator.connection',
       fixes: [
           {
               type: 'add-comment-warning',
               description: "Acknowledge warning for 'Network Information API'.",
               payload: {
-                  message: "WARNING: The Network Information API is not Baseline. Wrap calls in feature detection. (baseline-disable-next-line api.navigator.connection)"
+                  message: "WARNING: The Network Information API is not Baseline. Wrap calls in feature detection. (baseline-disable-next-line api.Navigator.connection)"
               }
           }
       ]
   },
-  'api.navigator.credentials': {
-      featureId: 'api.navigator.credentials',
+  'api.Navigator.credentials': {
+      featureId: 'api.Navigator.credentials',
       fixes: [
           {
               type: 'add-comment-warning',
               description: "Acknowledge warning for 'Credential Management API'.",
               payload: {
-                  message: "WARNING: The Credential Management API is not Baseline. Wrap calls in feature detection. (baseline-disable-next-line api.navigator.credentials)"
+                  message: "WARNING: The Credential Management API is not Baseline. Wrap calls in feature detection. (baseline-disable-next-line api.Navigator.credentials)"
               }
           }
       ]
   },
-  'api.navigator.geolocation': {
-      featureId: 'api.navigator.geolocation',
+  'api.Navigator.geolocation': {
+      featureId: 'api.Navigator.geolocation',
       fixes: [
           {
               type: 'add-comment-warning',
               description: "Acknowledge warning for 'Geolocation API'.",
               payload: {
-                  message: "WARNING: The Geolocation API is not Baseline and requires user permission. Handle errors gracefully. (baseline-disable-next-line api.navigator.geolocation)"
+                  message: "WARNING: The Geolocation API is not Baseline and requires user permission. Handle errors gracefully. (baseline-disable-next-line api.Navigator.geolocation)"
               }
           }
       ]
   },
-  'api.navigator.mediaDevices': {
-      featureId: 'api.navigator.mediaDevices',
+  'api.Navigator.mediaDevices': {
+      featureId: 'api.Navigator.mediaDevices',
       fixes: [
           {
               type: 'add-comment-warning',
               description: "Acknowledge warning for 'MediaDevices API'.",
               payload: {
-                  message: "WARNING: 'navigator.mediaDevices' is not Baseline and requires user permission. Handle errors gracefully. (baseline-disable-next-line api.navigator.mediaDevices)"
+                  message: "WARNING: 'navigator.mediaDevices' is not Baseline and requires user permission. Handle errors gracefully. (baseline-disable-next-line api.Navigator.mediaDevices)"
               }
           }
       ]
   },
-  'api.navigator.serviceWorker': {
-      featureId: 'api.navigator.serviceWorker',
+  'api.Navigator.serviceWorker': {
+      featureId: 'api.Navigator.serviceWorker',
       fixes: [
           {
               type: 'add-comment-warning',
               description: "Acknowledge warning for 'Service Worker API'.",
               payload: {
-                  message: "WARNING: The Service Worker API is not Baseline. Check for 'serviceWorker' in 'navigator'. (baseline-disable-next-line api.navigator.serviceWorker)"
+                  message: "WARNING: The Service Worker API is not Baseline. Check for 'serviceWorker' in 'navigator'. (baseline-disable-next-line api.Navigator.serviceWorker)"
               }
           }
       ]
   },
-  'api.localStorage': {
-      featureId: 'api.localStorage',
+  'api.Window.localStorage': {
+      featureId: 'api.Window.localStorage',
       fixes: [
           {
               type: 'add-comment-warning',
               description: "Acknowledge warning for 'localStorage'.",
               payload: {
-                  message: "WARNING: 'localStorage' can be disabled by users. Wrap access in a try-catch block. (baseline-disable-next-line api.localStorage)"
+                  message: "WARNING: 'localStorage' can be disabled by users. Wrap access in a try-catch block. (baseline-disable-next-line api.Window.localStorage)"
               }
           }
       ]
   },
-  'api.sessionStorage': {
-      featureId: 'api.sessionStorage',
+  'api.Window.sessionStorage': {
+      featureId: 'api.Window.sessionStorage',
       fixes: [
           {
               type: 'add-comment-warning',
               description: "Acknowledge warning for 'sessionStorage'.",
               payload: {
-                  message: "WARNING: 'sessionStorage' can be disabled by users. Wrap access in a try-catch block. (baseline-disable-next-line api.sessionStorage)"
+                  message: "WARNING: 'sessionStorage' can be disabled by users. Wrap access in a try-catch block. (baseline-disable-next-line api.Window.sessionStorage)"
               }
           }
       ]
@@ -1260,11 +1333,53 @@ const REMEDIATION_DATABASE: Record<string, Remediation> = {
 // 3. AST-BASED SCANNER
 // ==================================================================================
 
+/**
+ * Decides whether a detected feature should be reported for the given target.
+ * Returns the extra Finding details when the feature is reportable, or undefined when it is not.
+ */
+function checkReportable(featureId: string, target: BaselineTarget): Partial<Finding> | undefined {
+  const check = checkFeatureAgainstTarget(featureId, target);
+  if (!check) {
+    // No compat data for this key, so fall back to the curated database.
+    return REMEDIATION_DATABASE[featureId] ? {} : undefined;
+  }
+  if (check.supported) {
+    return undefined;
+  }
+  return { baseline: check.status.baseline, unsupportedBrowsers: check.unsupportedBrowsers };
+}
+
+/**
+ * Builds a finding message from the feature's real Baseline status, e.g.
+ * "'Navigator.share' is not Baseline (limited availability). Not supported in: firefox, firefox_android."
+ */
+function describeFeatureStatus(label: string, featureId: string, details: Partial<Finding>, target: BaselineTarget): string {
+  const status = getFeatureStatus(featureId);
+  let message: string;
+  if (!status) {
+    message = `'${label}' may not be supported by the target (${describeTarget(target)}).`;
+  } else if (status.baseline === false) {
+    message = `'${label}' is not Baseline (limited availability).`;
+  } else {
+    message = status.baseline === 'low'
+      ? `'${label}' is Baseline newly available since ${status.baseline_low_date}`
+      : `'${label}' is Baseline widely available since ${status.baseline_high_date}`;
+    // For Baseline targets there are no unsupported browsers to list, so name the target instead.
+    message += details.unsupportedBrowsers?.length ? '.' : `, which does not meet the target (${describeTarget(target)}).`;
+  }
+
+  if (details.unsupportedBrowsers && details.unsupportedBrowsers.length > 0) {
+    message += ` Not supported in: ${details.unsupportedBrowsers.join(', ')}.`;
+  }
+  return message;
+}
+
 function pushFinding(
   findings: Finding[],
   featureId: string,
   message: string,
-  loc?: { start?: { line: number; column: number }; end?: { line: number; column: number } }
+  loc?: { start?: { line: number; column: number }; end?: { line: number; column: number } },
+  details: Partial<Finding> = {}
 ) {
     if (!loc?.start) return;
     // Avoid duplicates
@@ -1272,8 +1387,7 @@ function pushFinding(
       return;
     }
 
-    const feature = (features as any)[featureId];
-    const mdnUrl = feature?.mdn_url;
+    const mdnUrl = getIndexedFeature(featureId)?.mdnUrl;
 
     findings.push({
       featureId,
@@ -1285,37 +1399,133 @@ function pushFinding(
       endColumn: loc.end?.column || loc.start.column + 1,
       fixId: featureId,
       mdnUrl: mdnUrl,
+      confidence: 'high',
+      ...resolveFeatureIdentity(featureId),
+      ...details,
     });
 }
 
 /**
  * The main scanning function. It delegates to the appropriate language-specific scanner.
  */
-export async function scanCode(content: string, language: 'css' | 'javascript' | 'typescript' | 'typescriptreact' | 'html'): Promise<Finding[]> {
-  if (language === 'css') {
-    return scanCss(content);
-  }
-  if (language === 'html') {
-    return scanHtml(content);
+export async function scanCode(
+  content: string,
+  language: CssSyntax | 'javascript' | 'typescript' | 'typescriptreact' | 'html' | SfcLanguage,
+  options: ScanOptions = {}
+): Promise<Finding[]> {
+  let findings: Finding[] = [];
+  if (isCssSyntax(language)) {
+    findings = await scanCss(content, options, language);
+  } else if (language === 'html') {
+    findings = await scanHtml(content, options);
+  } else if (language === 'vue' || language === 'svelte' || language === 'astro') {
+    findings = await scanSfc(content, language, options);
+  } else if (language === 'javascript' || language === 'typescript' || language === 'typescriptreact') {
+    findings = await scanJs(content, options, language);
   }
-  if (language === 'javascript' || language === 'typescript' || language === 'typescriptreact') {
-    return scanJs(content);
+  if (options.build) {
+    findings = findings.map(finding => markHandledByBuild(finding, language, options.build!));
   }
-  return [];
+  return findings.filter(finding => meetsConfidence(finding, options.minConfidence));
+}
+
+/**
+ * Scans a built bundle (JS or CSS output) and maps each finding back to its original source through the
+ * bundle's source map. Findings keep their bundle position; `original` is added where the map covers it.
+ * Code without a mapping is usually generated by the bundler (runtime helpers, polyfills it injects).
+ * The build has already run, so `options.build` is ignored.
+ */
+export async function scanBundle(
+  content: string,
+  language: 'javascript' | 'css',
+  sourceMap: string | object | undefined,
+  options: ScanOptions = {}
+): Promise<Finding[]> {
+  const findings = await scanCode(content, language, { ...options, build: undefined });
+  const consumer = sourceMap ? parseSourceMap(sourceMap) : undefined;
+  if (!consumer) return findings;
+  // Source maps use 0-based columns like Babel; postcss columns are 1-based.
+  const columnBase = language === 'css' ? 1 : 0;
+  return findings.map(finding => {
+    const original = findOriginalLocation(consumer, finding.line, finding.column - columnBase);
+    return original ? { ...finding, original: { ...original, column: original.column + columnBase } } : finding;
+  });
+}
+
+/**
+ * Marks a finding whose feature the build rewrites for the targets (downleveled syntax, prefixed or lowered CSS).
+ */
+function markHandledByBuild(finding: Finding, language: string, build: ProjectBuild): Finding {
+  const handledBy = finding.guarded ? undefined : getBuildHandler(finding.featureId, language, build);
+  return handledBy ? { ...finding, message: `${finding.message} Handled by build: ${handledBy}.`, handledBy } : finding;
+}
+
+/**
+ * Stylesheet syntaxes scanCss can parse. SCSS, indented Sass and Less are read with their PostCSS syntaxes.
+ */
+export type CssSyntax = 'css' | 'scss' | 'sass' | 'less';
+
+const CSS_PARSERS: Record<CssSyntax, Parser<Root>> = {
+  css: postcss.parse,
+  scss: postcssScss.parse as Parser<Root>,
+  sass: postcssSass.parse as Parser<Root>,
+  less: postcssLess.parse as Parser<Root>,
+};
+
+/**
+ * How a stylesheet reaches the browser: as written (`css`), compiled by a preprocessor, or generated by a CSS-in-JS
+ * library (styled-components, emotion), which flattens nesting like a preprocessor does.
+ */
+type CssDialect = CssSyntax | 'css-in-js';
+
+// Preprocessor built-ins that are evaluated at compile time, so the CSS function of the same name never reaches the browser.
+const PREPROCESSOR_FUNCTIONS: Record<CssDialect, Set<string>> = {
+  css: new Set(),
+  'css-in-js': new Set(),
+  scss: new Set(['abs', 'ceil', 'floor', 'round', 'percentage', 'random', 'unit', 'unitless', 'comparable', 'if']),
+  sass: new Set(['abs', 'ceil', 'floor', 'round', 'percentage', 'random', 'unit', 'unitless', 'comparable', 'if']),
+  less: new Set(['abs', 'ceil', 'floor', 'round', 'percentage', 'mod', 'pow', 'sqrt', 'sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'pi', 'if']),
+};
+
+function isCssSyntax(language: string): language is CssSyntax {
+  return Object.prototype.hasOwnProperty.call(CSS_PARSERS, language);
 }
 
 /**
  * Scans a string of CSS content using PostCSS to find non-baseline features.
+ * @param syntax The stylesheet syntax. In SCSS, Sass and Less, variables, mixin calls and nesting (which the
+ * preprocessor compiles away) are not reported; declarations inside mixins and `@include` blocks are.
  */
-export async function scanCss(cssContent: string): Promise<Finding[]> {
+export async function scanCss(cssContent: string, options: ScanOptions = {}, syntax: CssSyntax = 'css'): Promise<Finding[]> {
+  return scanStylesheet(CSS_PARSERS[syntax](cssContent), options, syntax);
+}
+
+/**
+ * Scans a parsed stylesheet.
+ */
+function scanStylesheet(root: Root, options: ScanOptions, syntax: CssDialect): Finding[] {
   const findings: Finding[] = [];
-  const root = postcss.parse(cssContent);
+  const target = resolveTarget(options.targets);
 
   root.walkDecls(decl => {
+    checkCssValue(decl, findings, target, syntax);
+    if ((decl as any).variable) return; // $var: ... has a value but no property
+
+    // Declarations in @font-face, @property, etc. are descriptors, not properties. @page also accepts properties.
+    const parent = decl.parent as AtRule | undefined;
+    const descriptorId = parent?.type === 'atrule' && DESCRIPTOR_AT_RULES.has(parent.name.toLowerCase())
+      ? findAtRuleKey(`${parent.name}.${decl.prop}`)
+      : undefined;
+    if (descriptorId) {
+      reportCssNode(decl, descriptorId, `@${parent!.name} ${decl.prop} descriptor`, 0, decl.prop.length, findings, target);
+      return;
+    }
+
     const featureId = `css.properties.${decl.prop}`;
 
-    // If the property exists in our database of non-Baseline features, create a finding.
-    if (REMEDIATION_DATABASE[featureId]) {
+    // If the property doesn't satisfy the target, create a finding.
+    const details = checkReportable(featureId, target);
+    if (details) {
       // Check for a `baseline-disable-next-line` comment to suppress the warning.
       let prev = decl.prev();
       if (prev && prev.type === 'comment' && prev.text.includes(`baseline-disable-next-line ${featureId}`)) {
@@ -1339,182 +1549,598 @@ export async function scanCss(cssContent: string): Promise<Finding[]> {
         }
       }
 
-      pushFinding(
-        findings,
-        featureId,
-        `The CSS property '${decl.prop}' is not part of Baseline.`,
-        decl.source
-      );
-    }
-
-    const value = decl.value || '';
-    if (value.includes('color-mix(')) {
-      pushFinding(
-        findings,
-        'css.functions.color-mix',
-        "The CSS function 'color-mix()' is not part of Baseline.",
-        decl.source
-      );
-    }
-    if (/(oklch|oklab)/i.test(value)) {
-      pushFinding(
-        findings,
-        'css.functions.oklch',
-        "The color space 'oklch/oklab' is not part of Baseline.",
-        decl.source
-      );
-    }
-    if (/(sin|cos|tan)\s*\(/i.test(value)) {
-      pushFinding(
-        findings,
-        'css.functions.sin',
-        'CSS trigonometric functions are not part of Baseline.',
-        decl.source
-      );
+      const guarded = applySupportsGuard(decl, featureId, describeFeatureStatus(decl.prop, featureId, details, target), details, findings);
+      // postcss ends are inclusive; findings end after the declaration, which matters when it has no trailing `;`.
+      const end = decl.source?.end && { line: decl.source.end.line, column: decl.source.end.column + 1 };
+      pushFinding(findings, featureId, guarded.message, { start: decl.source?.start, end }, guarded.details);
     }
   });
 
   root.walkAtRules(atRule => {
-    let featureId: string | null = null;
-    if (atRule.name === 'container') {
-      featureId = 'css.at-rules.container';
-    } else if (atRule.name === 'property') {
-      featureId = 'css.at-rules.property';
+    if ((atRule as any).mixin) return; // Less mixin calls
+    if ((atRule as any).variable || (atRule.name === 'include' && syntax !== 'css')) {
+      // Less @var: value and @include arguments end up in declarations: @include theme(oklch(70% 0.1 200))
+      checkCssParamsValue(atRule, findings, target, syntax);
+      return;
     }
+    checkCssAtRule(atRule, findings, target, syntax);
+  });
 
-    if (featureId && REMEDIATION_DATABASE[featureId]) {
-      const prev = atRule.prev();
-      if (prev && prev.type === 'comment' && prev.text.includes(`baseline-disable-next-line ${featureId}`)) {
-        return;
+  root.walkRules(rule => {
+    checkCssSelector(rule, findings, target, syntax);
+  });
+
+  return findings;
+}
+
+// At-rules whose declarations are descriptors with their own BCD keys (css.at-rules.font-face.size-adjust).
+const DESCRIPTOR_AT_RULES = new Set(['font-face', 'property', 'counter-style', 'font-palette-values', 'page', 'view-transition', 'position-try']);
+
+// At-rules whose prelude is a media query list.
+const MEDIA_QUERY_AT_RULES = new Set(['media', 'custom-media', 'import']);
+
+/**
+ * Reports a CSS feature found at `index` (relative to the start of `node`) if it doesn't satisfy the target,
+ * unless the previous comment disables it.
+ */
+function reportCssNode(
+  node: AtRule | Declaration | Rule,
+  featureId: string | undefined,
+  label: string,
+  index: number,
+  length: number,
+  findings: Finding[],
+  target: BaselineTarget
+) {
+  if (!featureId) return;
+  const details = checkReportable(featureId, target);
+  if (!details) return;
+  const prev = node.prev();
+  if (prev && prev.type === 'comment' && prev.text.includes(`baseline-disable-next-line ${featureId}`)) {
+    return;
+  }
+  const range = node.rangeBy({ index, endIndex: index + length });
+  const guarded = applySupportsGuard(node, featureId, describeFeatureStatus(label, featureId, details, target), details, findings);
+  pushFinding(findings, featureId, guarded.message, range, guarded.details);
+}
+
+/**
+ * Checks an at-rule, its media features and its prelude syntax against the target.
+ */
+function checkCssAtRule(atRule: AtRule, findings: Finding[], target: BaselineTarget, syntax: CssDialect) {
+  const name = atRule.name.toLowerCase();
+  const report = (featureId: string | undefined, label: string, index: number, length: number) =>
+    reportCssNode(atRule, featureId, label, index, length, findings, target);
+
+  const parent = atRule.parent as AtRule | Rule | undefined;
+  if (parent?.type === 'atrule' && parent.name.toLowerCase() === 'page') {
+    // Margin boxes: @top-left, @bottom-center, ...
+    report(findAtRuleKey(`page.${name}`), `@${name} page margin box`, 0, name.length + 1);
+  } else {
+    report(findAtRuleKey(name), `@${name}`, 0, name.length + 1);
+  }
+  if (parent?.type === 'rule' && syntax === 'css') {
+    report(findSelectorKey('nesting'), `@${name} nested in a style rule`, 0, name.length + 1);
+  }
+
+  const rawParams = (atRule.raws.params && atRule.raws.params.raw) || atRule.params || '';
+  const paramsOffset = 1 + atRule.name.length + (atRule.raws.afterName || '').length;
+  const params = valueParser(rawParams);
+
+
+  if (MEDIA_QUERY_AT_RULES.has(name)) {
+    params.walk(node => {
+      if (node.type === 'word' && node.value.toLowerCase() === 'or') {
+        report(findAtRuleKey('media.or_syntax'), 'or keyword in media queries', paramsOffset + node.sourceIndex, 2);
+      }
+      if (node.type !== 'function' || node.value !== '') return;
+      checkMediaFeature(node, (featureId, label, index, length) => report(featureId, label, paramsOffset + index, length));
+    });
+  }
+
+  if (name === 'import') {
+    params.walk(node => {
+      if (node.value.toLowerCase() === 'layer' && (node.type === 'word' || node.type === 'function')) {
+        report(findAtRuleKey('import.layer'), '@import layer()', paramsOffset + node.sourceIndex, node.value.length);
+      } else if (node.type === 'function' && node.value.toLowerCase() === 'supports') {
+        report(findAtRuleKey('import.supports'), '@import supports()', paramsOffset + node.sourceIndex, node.value.length);
+      }
+    });
+  } else if (name === 'container') {
+    params.walk(node => {
+      if (node.type !== 'function') return;
+      const fn = node.value.toLowerCase();
+      if (fn === 'style') {
+        report(findAtRuleKey('container.style_queries_for_custom_properties'), 'container style queries', paramsOffset + node.sourceIndex, fn.length);
+      } else if (fn === 'scroll-state') {
+        report(findAtRuleKey('container.scroll-state_queries'), 'container scroll-state queries', paramsOffset + node.sourceIndex, fn.length);
+      }
+    });
+  } else if (name === 'supports') {
+    params.walk(node => {
+      const fn = node.value.toLowerCase();
+      if (node.type === 'function' && ['selector', 'font-tech', 'font-format', 'at-rule', 'named-feature'].includes(fn)) {
+        report(findAtRuleKey(`supports.${fn}`), `@supports ${fn}()`, paramsOffset + node.sourceIndex, fn.length);
+      }
+    });
+  }
+}
+
+/**
+ * Checks the functions and units of an at-rule prelude that is a value rather than a query (Less variables, Sass @include).
+ */
+function checkCssParamsValue(atRule: AtRule, findings: Finding[], target: BaselineTarget, syntax: CssDialect) {
+  const rawParams = (atRule.raws.params && atRule.raws.params.raw) || atRule.params || '';
+  const paramsOffset = 1 + atRule.name.length + (atRule.raws.afterName || '').length;
+  for (const use of collectValueFeatures('', rawParams, syntax)) {
+    reportCssNode(atRule, use.featureId, use.label, paramsOffset + use.index, use.length, findings, target);
+  }
+}
+
+/**
+ * Checks one parenthesized media condition: `(prefers-reduced-transparency)`, `(min-width: 600px)`,
+ * `(display-mode: standalone)` or range syntax such as `(400px <= width < 700px)`.
+ */
+function checkMediaFeature(
+  group: valueParser.FunctionNode,
+  report: (featureId: string | undefined, label: string, index: number, length: number) => void
+) {
+  const words = group.nodes.filter((node): node is valueParser.WordNode => node.type === 'word');
+  const comparator = words.find(word => /^(<=?|>=?|=)$/.test(word.value));
+  if (comparator) {
+    report(findAtRuleKey('media.range_syntax'), 'media query range syntax', comparator.sourceIndex, comparator.value.length);
+  }
+
+  const feature = words.find(word => /^-?[a-z][a-z0-9-]*$/i.test(word.value) && !/^(and|or|not|only)$/i.test(word.value));
+  if (!feature) return;
+  // -webkit-min-device-pixel-ratio has its own key; min-width and max-width are the width feature.
+  const featureName = findAtRuleKey(`media.${feature.value}`) ? feature.value : feature.value.replace(/^(min|max)-/i, '');
+  report(findAtRuleKey(`media.${featureName}`), `${featureName} media feature`, feature.sourceIndex, feature.value.length);
+
+  const colon = group.nodes.findIndex(node => node.type === 'div' && node.value === ':');
+  const value = colon >= 0 ? group.nodes.slice(colon + 1).find(node => node.type === 'word') : undefined;
+  if (value) {
+    report(findAtRuleKey(`media.${featureName}.${value.value}`), `${featureName}: ${value.value}`, value.sourceIndex, value.value.length);
+  }
+}
+
+/**
+ * A CSS feature used at `index` (relative to the start of the parsed string).
+ */
+interface CssFeatureUse {
+  featureId: string | undefined;
+  label: string;
+  index: number;
+  length: number;
+}
+
+/**
+ * Checks the keywords, functions and units of a declaration value against the target.
+ * Findings point at the offending token inside the value, not the whole declaration.
+ */
+function checkCssValue(decl: Declaration, findings: Finding[], target: BaselineTarget, syntax: CssDialect) {
+  // The value as written (including comments), which is what postcss positions are based on.
+  const rawValue = (decl.raws.value && decl.raws.value.raw) || decl.value || '';
+  const valueOffset = decl.prop.length + (decl.raws.between || '').length;
+  for (const use of collectValueFeatures(decl.prop, rawValue, syntax)) {
+    reportCssNode(decl, use.featureId, use.label, valueOffset + use.index, use.length, findings, target);
+  }
+}
+
+/**
+ * Lists the keywords, functions and units of a property value that have a BCD key.
+ */
+function collectValueFeatures(prop: string, value: string, syntax: CssDialect = 'css'): CssFeatureUse[] {
+  const uses: CssFeatureUse[] = [];
+  const isCustomProperty = prop.startsWith('--');
+  valueParser(value).walk(node => {
+    if (node.type === 'function') {
+      if (!node.value) return; // Plain parentheses, e.g. in calc()
+      if (PREPROCESSOR_FUNCTIONS[syntax].has(node.value.toLowerCase())) return;
+      uses.push({ featureId: findFunctionKey(prop, node.value), label: `${node.value}()`, index: node.sourceIndex, length: node.value.length });
+    } else if (node.type === 'word') {
+      const dimension = valueParser.unit(node.value);
+      if (dimension && dimension.unit) {
+        const unitIndex = node.sourceIndex + node.value.length - dimension.unit.length;
+        uses.push({ featureId: findUnitKey(dimension.unit), label: `${dimension.unit} unit`, index: unitIndex, length: dimension.unit.length });
+      } else if (!isCustomProperty && !node.value.startsWith('-')) {
+        uses.push({ featureId: findKeywordKey(prop, node.value), label: `${prop}: ${node.value}`, index: node.sourceIndex, length: node.value.length });
       }
-      pushFinding(
-        findings,
-        featureId,
-        `The '@${atRule.name}' rule is not part of Baseline.`,
-        atRule.source
-      );
     }
   });
+  return uses.filter(use => use.featureId);
+}
 
-  root.walkRules(rule => {
-    if (rule.selector && rule.selector.includes(':has(')) {
-      const featureId = 'css.selectors.has';
-      if (REMEDIATION_DATABASE[featureId]) {
-        const prev = rule.prev();
-        if (prev && prev.type === 'comment' && prev.text.includes(`baseline-disable-next-line ${featureId}`)) {
-          return;
+/**
+ * Checks the pseudo-classes, pseudo-elements, combinators and nesting of a rule's selector against the target.
+ * Findings point at the exact position in the selector.
+ */
+function checkCssSelector(rule: Rule, findings: Finding[], target: BaselineTarget, syntax: CssDialect) {
+  if (rule.parent?.type === 'atrule' && /keyframes$/i.test((rule.parent as any).name)) {
+    return; // `from`, `to` and percentages are not selectors
+  }
+  const rawSelector = (rule.raws.selector && rule.raws.selector.raw) || rule.selector || '';
+  if (syntax !== 'css' && /#\{|@\{|%|\bwhen\b/.test(rawSelector)) {
+    return; // Interpolation, placeholder selectors and Less guards
+  }
+  let uses = collectSelectorFeatures(rawSelector);
+  if (!uses) return; // Invalid selector (or preprocessor syntax), nothing to report.
+
+  const nestingId = findSelectorKey('nesting');
+  if (syntax !== 'css') {
+    // The preprocessor flattens nested rules, so `&` never reaches the browser.
+    uses = uses.filter(use => use.featureId !== nestingId);
+  } else if (rule.parent?.type === 'rule' && !uses.some(use => use.featureId === nestingId)) {
+    // A rule nested directly in another rule uses native nesting even without `&`.
+    uses.push({ featureId: nestingId, label: 'CSS nesting', index: 0, length: rawSelector.length });
+  }
+  for (const use of uses) {
+    reportCssNode(rule, use.featureId, use.label, use.index, use.length, findings, target);
+  }
+}
+
+/**
+ * Lists the pseudo-classes, pseudo-elements, combinators and nesting selectors of a selector that have a BCD key.
+ * @returns The features, or undefined if the selector can't be parsed.
+ */
+function collectSelectorFeatures(selector: string): CssFeatureUse[] | undefined {
+  const uses: CssFeatureUse[] = [];
+  const add = (featureId: string | undefined, label: string, index: number, length: number) => {
+    if (featureId) uses.push({ featureId, label, index, length });
+  };
+  try {
+    selectorParser(root => {
+      root.walk(node => {
+        if (node.type === 'pseudo') {
+          const hasArguments = node.nodes.length > 0;
+          const label = hasArguments ? `${node.value}()` : node.value;
+          const name = node.value.toLowerCase();
+          if ((name === ':nth-child' || name === ':nth-last-child') && /\sof\s/i.test(String(node))) {
+            add(findSelectorKey(`${name.slice(1)}.of_syntax`), `${node.value}(An+B of S)`, node.sourceIndex!, node.value.length);
+          } else {
+            add(findPseudoKey(node.value, hasArguments), label, node.sourceIndex!, node.value.length);
+          }
+        } else if (node.type === 'combinator') {
+          const combinator = node.value.trim() || ' ';
+          add(findCombinatorKey(combinator), combinator === ' ' ? 'descendant combinator' : `${combinator} combinator`, node.sourceIndex!, node.value.length);
+        } else if (node.type === 'attribute' && node.insensitive) {
+          const length = String(node).trim().length;
+          add(findSelectorKey('attribute.case_insensitive_modifier'), 'attribute selector i modifier', node.sourceIndex!, length);
+        } else if (node.type === 'nesting') {
+          add(findSelectorKey('nesting'), 'CSS nesting (&)', node.sourceIndex!, 1);
         }
-        pushFinding(
-          findings,
-          featureId,
-          "The ':has()' selector is not part of Baseline.",
-          rule.source
-        );
+      });
+    }).processSync(selector);
+  } catch (e) {
+    return undefined;
+  }
+  return uses;
+}
+
+// Features guaranteed by each @supports rule, computed once per rule.
+const supportsGuardCache = new WeakMap<AtRule, Set<string>>();
+
+/**
+ * Returns the features that every enclosing `@supports` condition guarantees for a node,
+ * e.g. css.properties.backdrop-filter inside `@supports (backdrop-filter: blur(1px))`.
+ */
+function getSupportsGuards(node: AtRule | Declaration | Rule): Set<string> {
+  const guards = new Set<string>();
+  for (let parent = node.parent as AtRule | Rule | undefined; parent; parent = parent.parent as AtRule | Rule | undefined) {
+    if (parent.type !== 'atrule' || parent.name.toLowerCase() !== 'supports') continue;
+    const atRule = parent;
+    let supported = supportsGuardCache.get(atRule);
+    if (!supported) {
+      supported = evaluateSupportsCondition(valueParser(atRule.params).nodes);
+      supportsGuardCache.set(atRule, supported);
+    }
+    supported.forEach(featureId => guards.add(featureId));
+  }
+  return guards;
+}
+
+/**
+ * Returns the features a `@supports` condition guarantees when it matches.
+ * - `(prop: value)` guarantees the property and the functions, units and keywords of the value.
+ * - `selector(...)` guarantees the pseudo-classes, combinators, etc. of the selector.
+ * - `a and b` guarantees both sides, `a or b` only what both branches guarantee, `not a` nothing.
+ */
+function evaluateSupportsCondition(nodes: valueParser.Node[]): Set<string> {
+  const terms = nodes.filter(node => node.type !== 'space' && node.type !== 'comment');
+  const splitOn = (keyword: string) => {
+    const branches: valueParser.Node[][] = [[]];
+    for (const term of terms) {
+      if (term.type === 'word' && term.value.toLowerCase() === keyword) {
+        branches.push([]);
+      } else {
+        branches[branches.length - 1].push(term);
       }
     }
+    return branches;
+  };
+
+  const or = splitOn('or');
+  if (or.length > 1) {
+    const [first, ...rest] = or.map(evaluateSupportsCondition);
+    return new Set([...first].filter(featureId => rest.every(branch => branch.has(featureId))));
+  }
+  const and = splitOn('and');
+  if (and.length > 1) {
+    return new Set(and.flatMap(branch => [...evaluateSupportsCondition(branch)]));
+  }
+
+  const [condition] = terms;
+  if (terms.length !== 1 || condition.type !== 'function') {
+    return new Set(); // `not (...)`, or syntax we don't understand
+  }
+  const fn = condition.value.toLowerCase();
+  if (fn === 'selector') {
+    const uses = collectSelectorFeatures(valueParser.stringify(condition.nodes)) || [];
+    return new Set(uses.map(use => use.featureId!));
+  }
+  if (fn !== '') {
+    return new Set(); // font-tech(), font-format(), ...
+  }
+
+  const colon = condition.nodes.findIndex(node => node.type === 'div' && node.value === ':');
+  if (colon < 0) {
+    return evaluateSupportsCondition(condition.nodes); // A nested condition: ((a) or (b))
+  }
+  const prop = valueParser.stringify(condition.nodes.slice(0, colon)).trim().toLowerCase();
+  const value = valueParser.stringify(condition.nodes.slice(colon + 1)).trim();
+  return new Set([`css.properties.${prop}`, ...collectValueFeatures(prop, value).map(use => use.featureId!)]);
+}
+
+/**
+ * Adjusts a CSS finding for its enclosing `@supports` rules: a use the condition guarantees is marked as guarded.
+ * A guarded declaration whose selector has no styles outside the guard also gets a guarded finding of its own
+ * on the selector, since browsers without the feature get no fallback.
+ */
+function applySupportsGuard(
+  node: AtRule | Declaration | Rule,
+  featureId: string,
+  message: string,
+  details: Partial<Finding>,
+  findings: Finding[]
+): { message: string; details: Partial<Finding> } {
+  if (!getSupportsGuards(node).has(featureId)) {
+    return { message, details };
+  }
+  const rule = node.parent;
+  if (node.type === 'decl' && rule?.type === 'rule' && !hasFallbackRule(rule as Rule, featureId)) {
+    const { selector } = rule as Rule;
+    pushFinding(
+      findings,
+      featureId,
+      `'${selector}' has no styles outside the @supports rule, so browsers that fail the condition get no fallback.`,
+      (rule as Rule).rangeBy({ index: 0, endIndex: selector.length }),
+      { ...details, guarded: true }
+    );
+  }
+  return { message: `${message} Guarded by @supports.`, details: { ...details, guarded: true } };
+}
+
+/**
+ * Checks whether another rule with the same selector applies where the feature isn't supported.
+ */
+function hasFallbackRule(rule: Rule, featureId: string): boolean {
+  const selector = rule.selector.replace(/\s+/g, ' ');
+  let found = false;
+  rule.root().walkRules(other => {
+    if (found || other === rule || other.selector.replace(/\s+/g, ' ') !== selector) return;
+    found = !getSupportsGuards(other).has(featureId);
   });
+  return found;
+}
 
-  return findings;
+function isMember(node: any): boolean {
+  return node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression';
 }
 
 /**
- * Scans a string of JavaScript content using Babel to find deprecated APIs.
+ * True for identifiers that only appear in TypeScript types (`let m: Map<K, V>`, `implements Foo`).
  */
-export async function scanJs(jsContent: string): Promise<Finding[]> {
+function isTypePosition(path: NodePath<any>): boolean {
+  return !!path.findParent(
+    (parent: NodePath<any>) =>
+      parent.isTSType() ||
+      parent.isTSTypeAnnotation() ||
+      parent.isTSInterfaceDeclaration() ||
+      parent.isTSTypeAliasDeclaration() ||
+      parent.isTSDeclareFunction()
+  );
+}
+
+/**
+ * Scans a string of JavaScript content using Babel to find non-Baseline and deprecated APIs.
+ * Detection tables for globals, constructors, static and instance members come from web-features (see js-api-table.ts).
+ */
+export async function scanJs(
+  jsContent: string,
+  options: ScanOptions = {},
+  language: 'javascript' | 'typescript' | 'typescriptreact' = 'javascript'
+): Promise<Finding[]> {
   const findings: Finding[] = [];
+  const target = resolveTarget(options.targets);
+  let receiverTypes: ReceiverTypeResolver | undefined;
+  if (options.typeAware && language !== 'javascript') {
+    const fileName = options.filePath || (language === 'typescriptreact' ? 'untitled.tsx' : 'untitled.ts');
+    receiverTypes = await createReceiverTypeResolver(jsContent, fileName);
+  }
   try {
     const ast = parse(jsContent, {
       sourceType: 'module',
-      plugins: ['jsx', 'typescript'],
+      plugins: ['jsx', 'typescript', 'deprecatedImportAssert'],
       errorRecovery: true, // Attempt to parse through errors
     });
 
-    const checkIdentifier = (path: NodePath<any>, name: string, featureId: string, message: string) => {
-      if (path.node.name === name) {
-        // Simple check to avoid capturing variable declarations
-        if (path.scope.hasBinding(name)) return;
-
-        // Check for disable comments on the parent statement
-        const parentStatement = path.getStatementParent();
-        if (parentStatement && parentStatement.node.leadingComments) {
-            for (const comment of parentStatement.node.leadingComments) {
-                if (comment.value.includes(`baseline-disable-next-line ${featureId}`)) {
-                    return; // Ignored by directive
-                }
-            }
+    const isIgnored = (path: NodePath<any>, featureId: string) => {
+      // Check for disable comments on the parent statement
+      const parentStatement = path.getStatementParent();
+      if (parentStatement && parentStatement.node.leadingComments) {
+        for (const comment of parentStatement.node.leadingComments) {
+          if (comment.value.includes(`baseline-disable-next-line ${featureId}`)) {
+            return true; // Ignored by directive
+          }
         }
+      }
+      return false;
+    };
 
-        pushFinding(findings, featureId, message, path.node.loc);
+    const report = (path: NodePath<any>, featureId: string, label: string, loc: any, details?: Partial<Finding>) => {
+      details = details || checkReportable(featureId, target);
+      if (!details || isIgnored(path, featureId)) return;
+      const message = describeFeatureStatus(label, featureId, details, target);
+      if (isFeatureGuarded(path)) {
+        pushFinding(findings, featureId, `${message} Guarded by feature detection.`, loc, { ...details, guarded: true });
+      } else {
+        pushFinding(findings, featureId, message, loc, details);
       }
     };
 
-    const checkMember = (path: NodePath<any>, propertyName: string, featureId: string, message: string) => {
-        if (path.node.property.type === 'Identifier' && path.node.property.name === propertyName) {
-            // Check for disable comments on the parent statement
-            const parentStatement = path.getStatementParent();
-            if (parentStatement && parentStatement.node.leadingComments) {
-                for (const comment of parentStatement.node.leadingComments) {
-                    if (comment.value.includes(`baseline-disable-next-line ${featureId}`)) {
-                        return; // Ignored by directive
-                    }
-                }
-            }
-            pushFinding(findings, featureId, message, path.node.property.loc);
+    // Syntax can't be feature-detected: a browser without it fails to parse the whole file, so guards don't apply.
+    const reportSyntax = (path: NodePath<any>) => {
+      for (const use of collectSyntaxFeatures(path, jsContent)) {
+        const details = checkReportable(use.featureId, target);
+        if (!details || isIgnored(path, use.featureId)) continue;
+        pushFinding(findings, use.featureId, describeFeatureStatus(use.label, use.featureId, details, target), use.loc, details);
+      }
+    };
+
+    // CSS-in-JS findings honor both CSS comments inside the styles and JS comments above the statement.
+    const addCssFindings = (path: NodePath<any>, cssFindings: Finding[]) => {
+      for (const finding of cssFindings) {
+        if (!isIgnored(path, finding.featureId)) findings.push(finding);
+      }
+    };
+
+    // A global that isn't shadowed by a local binding, e.g. `navigator` but not `const navigator = ...`.
+    // `noGlobals` matters: Babel otherwise treats builtins such as `Map` and `Intl` as bound.
+    const globalName = (path: NodePath<any>, node: any): string | undefined => {
+      if (node.type === 'Identifier' && !path.scope.hasBinding(node.name, true)) {
+        return node.name;
+      }
+      // window.navigator, self.caches, globalThis.Temporal
+      if (isMember(node) && !node.computed && node.property.type === 'Identifier') {
+        const owner = globalName(path, node.object);
+        if (owner && GLOBAL_ALIASES.has(owner)) {
+          return node.property.name;
+        }
+      }
+      return undefined;
+    };
+
+    const checkGlobal = (path: NodePath<any>, name: string, loc: any) => {
+      const key = getJsApiTable().globals.get(name);
+      if (!key) return;
+      const isConstructed = path.parentPath?.isNewExpression() && (path.parent as any).callee === path.node;
+      report(path, isConstructed ? findConstructorKey(key) : key, name, loc);
+    };
+
+    const checkMemberAccess = (path: NodePath<any>) => {
+      const { node } = path;
+      if (node.computed || node.property.type !== 'Identifier') return;
+      const member = node.property.name;
+      const loc = node.property.loc;
+
+      const receiver = globalName(path, node.object);
+      if (receiver && GLOBAL_ALIASES.has(receiver)) {
+        checkGlobal(path, member, loc);
+        return;
+      }
+
+      const { instances, interfaces, members } = getJsApiTable();
+      if (receiver && instances.has(receiver)) {
+        const key = findMemberKey(instances.get(receiver)!, member);
+        if (key) report(path, key, `${receiver}.${member}`, loc);
+        return;
+      }
+      if (receiver && interfaces.has(receiver)) {
+        // Temporal.Now is already covered by the finding on Temporal itself.
+        if (checkReportable(interfaces.get(receiver)!, target)) return;
+        const key = findStaticKey(receiver, member);
+        if (key) {
+          const isConstructed = path.parentPath?.isNewExpression() && (path.parent as any).callee === node;
+          report(path, isConstructed ? findConstructorKey(key) : key, `${receiver}.${member}`, loc);
+        }
+        return;
+      }
+
+      // X.prototype.member
+      const prototypeOwner = isMember(node.object) && !node.object.computed && node.object.property.name === 'prototype'
+        ? globalName(path, node.object.object)
+        : undefined;
+      if (prototypeOwner && interfaces.has(prototypeOwner)) {
+        const key = findMemberKey(prototypeOwner, member);
+        if (key) report(path, key, `${prototypeOwner}.prototype.${member}`, loc);
+        return;
+      }
+
+      // With type information the receiver's real interface decides; user-defined types are never reported.
+      const types = receiverTypes?.(node.property.start);
+      if (types) {
+        for (const chain of types) {
+          const key = chain.map(iface => findMemberKey(iface, member)).find(Boolean);
+          if (key) report(path, key, describeMemberKey(key), loc);
+        }
+        return;
+      }
+
+      // Unknown receiver: without type information it could be anything, so only method calls are matched
+      // against builtins (`arr.at(-1)`) and the curated DOM members. Other DOM member names (`destroy`, `bold`)
+      // collide with user code too often. A call is reported only when every candidate misses the target.
+      const isCalled = (path.parentPath?.isCallExpression() || path.parentPath?.isOptionalCallExpression()) &&
+        (path.parent as any).callee === node;
+      if (!isCalled) return;
+      const candidates = (members.get(member) || []).filter(
+        key => key.startsWith('javascript.builtins.') || MANUAL_REMEDIATIONS[key]
+      );
+      let reportable: { key: string; details: Partial<Finding> } | undefined;
+      for (const key of candidates) {
+        const check = checkFeatureAgainstTarget(key, target);
+        if (!check) continue;
+        if (check.supported) return;
+        if (!reportable || (REMEDIATION_DATABASE[key] && !REMEDIATION_DATABASE[reportable.key])) {
+          reportable = {
+            key,
+            details: { baseline: check.status.baseline, unsupportedBrowsers: check.unsupportedBrowsers, confidence: 'low' },
+          };
         }
+      }
+      if (reportable) {
+        report(path, reportable.key, describeMemberKey(reportable.key), loc, reportable.details);
+      }
     };
 
     traverse(ast, {
       Identifier(path: NodePath<any>) {
-        checkIdentifier(path, 'ResizeObserver', 'api.ResizeObserver', "The 'ResizeObserver' API is not Baseline.");
-        checkIdentifier(path, 'globalThis', 'api.globalThis', "The 'globalThis' object is not Baseline.");
-        checkIdentifier(path, 'BigInt', 'api.BigInt', "The 'BigInt' primitive is not Baseline.");
-        checkIdentifier(path, 'Symbol', 'api.Symbol', "The 'Symbol' primitive is not fully Baseline.");
-        checkIdentifier(path, 'Map', 'api.Map', "The 'Map' object is not fully Baseline.");
-        checkIdentifier(path, 'Set', 'api.Set', "The 'Set' object is not fully Baseline.");
-        checkIdentifier(path, 'Worker', 'api.Worker', "Web Workers are not fully Baseline.");
-        checkIdentifier(path, 'WebSocket', 'api.WebSocket', "WebSockets are not fully Baseline.");
-        checkIdentifier(path, 'PaymentRequest', 'api.PaymentRequest', "The Payment Request API is not Baseline.");
-        checkIdentifier(path, 'RTCPeerConnection', 'api.RTCPeerConnection', "WebRTC is not Baseline.");
+        if (!path.isReferencedIdentifier() || path.scope.hasBinding(path.node.name, true) || isTypePosition(path)) return;
+        checkGlobal(path, path.node.name, path.node.loc);
       },
-      MemberExpression(path: NodePath<any>) {
+      'MemberExpression|OptionalMemberExpression'(path: NodePath<any>) {
         // event.keyCode
-        checkMember(path, 'keyCode', 'javascript.properties.keyCode', "The 'event.keyCode' property is deprecated. Use 'event.key' instead.");
-
-        // Promise methods
-        checkMember(path, 'any', 'api.Promise.any', "'Promise.any()' is not Baseline.");
-        checkMember(path, 'allSettled', 'api.Promise.allSettled', "'Promise.allSettled()' is not Baseline.");
-        
-        // String methods
-        checkMember(path, 'matchAll', 'api.String.matchAll', "'String.prototype.matchAll()' is not Baseline.");
-        checkMember(path, 'replaceAll', 'api.String.replaceAll', "'String.prototype.replaceAll()' is not Baseline.");
-
-        // Object methods
-        checkMember(path, 'fromEntries', 'api.Object.fromEntries', "'Object.fromEntries()' is not Baseline.");
-        checkMember(path, 'hasOwn', 'api.Object.hasOwn', "'Object.hasOwn()' is not Baseline.");
-        
-        // Array methods
-        checkMember(path, 'at', 'api.Array.at', "'Array.prototype.at()' is not Baseline.");
-        checkMember(path, 'flat', 'api.Array.flat', "'Array.prototype.flat()' is not Baseline.");
-        checkMember(path, 'flatMap', 'api.Array.flat', "'Array.prototype.flatMap()' is not Baseline.");
-        checkMember(path, 'toReversed', 'api.Array.toReversed', "'Array.prototype.toReversed()' is not Baseline.");
-        checkMember(path, 'toSorted', 'api.Array.toSorted', "'Array.prototype.toSorted()' is not Baseline.");
-        checkMember(path, 'toSpliced', 'api.Array.toSpliced', "'Array.prototype.toSpliced()' is not Baseline.");
-
-        // Navigator properties
-        checkMember(path, 'clipboard', 'api.navigator.clipboard', "The Clipboard API ('navigator.clipboard') is not Baseline.");
-        checkMember(path, 'connection', 'api.navigator.connection', "The Network Information API ('navigator.connection') is not Baseline.");
-        checkMember(path, 'credentials', 'api.navigator.credentials', "The Credential Management API ('navigator.credentials') is not Baseline.");
-        checkMember(path, 'geolocation', 'api.navigator.geolocation', "The Geolocation API ('navigator.geolocation') is not Baseline.");
-        checkMember(path, 'mediaDevices', 'api.navigator.mediaDevices', "The MediaDevices API ('navigator.mediaDevices') is not Baseline.");
-        checkMember(path, 'serviceWorker', 'api.navigator.serviceWorker', "The Service Worker API ('navigator.serviceWorker') is not Baseline.");
-        checkMember(path, 'vibrate', 'api.Navigator.vibrate', "The Vibration API ('navigator.vibrate') is not Baseline.");
-        
-        // Storage
-        checkMember(path, 'localStorage', 'api.localStorage', "The 'localStorage' API may be disabled by the user.");
-        checkMember(path, 'sessionStorage', 'api.sessionStorage', "The 'sessionStorage' API may be disabled by the user.");
-        
-        // Fullscreen API
-        checkMember(path, 'requestFullscreen', 'api.Element.requestFullscreen', "The Fullscreen API is not Baseline.");
+        const { property } = path.node;
+        if (!path.node.computed && property.type === 'Identifier' && property.name === 'keyCode') {
+          if (!isIgnored(path, 'javascript.properties.keyCode')) {
+            // Matched by name only, but few objects other than KeyboardEvent have a keyCode.
+            pushFinding(findings, 'javascript.properties.keyCode', "The 'event.keyCode' property is deprecated. Use 'event.key' instead.", property.loc, { confidence: 'medium' });
+          }
+          return;
+        }
+        if (isTypePosition(path)) return;
+        checkMemberAccess(path);
+      },
+      [SYNTAX_NODE_TYPES.join('|')]: reportSyntax,
+      TaggedTemplateExpression(path: NodePath<any>) {
+        const template = getStyledTemplate(path, jsContent);
+        if (template) {
+          addCssFindings(path, scanStyledTemplate(template, options));
+        }
+      },
+      ObjectExpression(path: NodePath<any>) {
+        if (isStyleObject(path)) {
+          addCssFindings(path, scanStyleObject(getStyleObjectDeclarations(path.node), options));
+        }
       },
     });
   } catch (e) {
@@ -1524,149 +2150,369 @@ export async function scanJs(jsContent: string): Promise<Finding[]> {
 }
 
 /**
- * Scans HTML content for non-Baseline features
+ * Scans the CSS of a styled-components or emotion tagged template and maps its findings to the JS file.
  */
-export async function scanHtml(htmlContent: string): Promise<Finding[]> {
+function scanStyledTemplate(template: StyledTemplate, options: ScanOptions): Finding[] {
+  let root: Root;
+  try {
+    // The SCSS parser accepts the `//` comments and nested rules these libraries allow.
+    root = postcssScss.parse(template.content) as Root;
+  } catch (e) {
+    return []; // Not parseable once the expressions are blanked out
+  }
+  const region: EmbeddedRegion = { language: 'css', content: template.content, line: template.line, column: template.column };
+  return scanStylesheet(root, options, 'css-in-js').map(finding => {
+    const mapped = mapEmbeddedFinding(finding, region);
+    // Findings in a JS file use Babel's 0-based columns.
+    return { ...mapped, column: mapped.column - 1, endColumn: mapped.endColumn - 1 };
+  });
+}
+
+/**
+ * Scans a camelCased style object as CSS. Property findings point at the key, value findings into the value literal.
+ */
+function scanStyleObject(declarations: StyleObjectDeclaration[], options: ScanOptions): Finding[] {
+  // One declaration per line, so a finding's line tells which declaration it belongs to.
+  const css = declarations.map(declaration => `${declaration.property}: ${declaration.value ?? ''};`).join('\n');
+  let root: Root;
+  try {
+    root = postcss.parse(css);
+  } catch (e) {
+    return []; // A value that isn't valid CSS
+  }
+  const findings: Finding[] = [];
+  for (const finding of scanStylesheet(root, options, 'css-in-js')) {
+    const declaration = declarations[finding.line - 1];
+    if (!declaration || finding.endLine !== finding.line) continue;
+    const valueColumn = declaration.property.length + 3; // After `prop: `
+    if (finding.column < valueColumn || !declaration.valueStart) {
+      const { start, end } = declaration.keyLoc;
+      findings.push({ ...finding, line: start.line, column: start.column, endLine: end.line, endColumn: end.column });
+    } else {
+      const { line, column } = declaration.valueStart;
+      findings.push({
+        ...finding,
+        line,
+        column: column + finding.column - valueColumn,
+        endLine: line,
+        endColumn: column + finding.endColumn - valueColumn,
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * CSS or JS embedded in an HTML document: a <style> or <script> block or a style="" attribute.
+ * `line` and `column` (1-based) are where the content starts in the host document.
+ */
+interface EmbeddedRegion {
+  language: CssSyntax | 'javascript' | 'typescript' | 'typescriptreact';
+  content: string;
+  line: number;
+  column: number;
+}
+
+/**
+ * Scans HTML content for non-Baseline features.
+ * CSS in <style> blocks and style="" attributes and JS in <script> blocks are passed to scanCss and scanJs,
+ * and their findings are mapped back to positions in the HTML document.
+ */
+export async function scanHtml(htmlContent: string, options: ScanOptions = {}): Promise<Finding[]> {
+  return scanHtmlDocument(htmlContent, options, false);
+}
+
+/**
+ * Scans an HTML document or component template.
+ * @param isComponentTemplate In Vue, Svelte and Astro templates, tags with capitals (`<Dialog>`) are components, not elements.
+ */
+async function scanHtmlDocument(htmlContent: string, options: ScanOptions, isComponentTemplate: boolean): Promise<Finding[]> {
   const findings: Finding[] = [];
+  const target = resolveTarget(options.targets);
+  const embedded: EmbeddedRegion[] = [];
   
   try {
     const document = parse5.parse(htmlContent, {
       sourceCodeLocationInfo: true
     });
     
-    traverseHtmlNode(document, findings, htmlContent);
+    traverseHtmlNode(document, findings, htmlContent, target, embedded, isComponentTemplate);
   } catch (error) {
     console.error('HTML parsing error:', error);
   }
+
+  for (const region of embedded) {
+    findings.push(...await scanEmbeddedRegion(region, options));
+  }
   
   return findings;
 }
 
+/**
+ * Scans a Vue, Svelte or Astro single-file component. The template is scanned as HTML, script blocks
+ * (including `lang="ts"` and Astro frontmatter) as JS/TS and style blocks as CSS, with positions mapped back to the file.
+ */
+export async function scanSfc(content: string, language: SfcLanguage, options: ScanOptions = {}): Promise<Finding[]> {
+  const findings: Finding[] = [];
+  for (const block of splitSfc(content, language)) {
+    if (block.kind === 'template') {
+      findings.push(...await scanHtmlDocument(block.content, options, true));
+      continue;
+    }
+    const styleSyntax = block.lang === 'postcss' ? 'css' : block.lang;
+    if (block.kind === 'style' && !isCssSyntax(styleSyntax)) {
+      continue; // Stylus and other syntaxes postcss can't parse
+    }
+    const { line, column } = positionAt(content, block.offset);
+    const region: EmbeddedRegion = {
+      language: (block.kind === 'style' ? styleSyntax : block.lang) as EmbeddedRegion['language'],
+      content: block.content,
+      line,
+      column,
+    };
+    // In type-aware mode the block is checked as a TypeScript file next to the component, so relative imports resolve.
+    const regionOptions = options.filePath && block.kind === 'script'
+      ? { ...options, filePath: `${options.filePath}.${block.lang === 'typescriptreact' ? 'tsx' : 'ts'}` }
+      : options;
+    findings.push(...await scanEmbeddedRegion(region, regionOptions));
+  }
+  return findings;
+}
+
+/**
+ * Scans embedded CSS or JS with the matching scanner and maps its findings to the host document.
+ */
+async function scanEmbeddedRegion(region: EmbeddedRegion, options: ScanOptions): Promise<Finding[]> {
+  const regionFindings = isCssSyntax(region.language)
+    ? await scanCss(region.content, options, region.language)
+    : await scanJs(region.content, options, region.language);
+  return regionFindings.map(finding => mapEmbeddedFinding(finding, region));
+}
+
+/**
+ * Moves a finding from an embedded region to its position in the host document.
+ */
+function mapEmbeddedFinding(finding: Finding, region: EmbeddedRegion): Finding {
+  // postcss columns are 1-based, Babel's are 0-based.
+  const columnBase = isCssSyntax(region.language) ? 0 : 1;
+  const mapColumn = (line: number, column: number) => (line === 1 ? region.column - 1 : 0) + column + columnBase;
+  return {
+    ...finding,
+    line: region.line + finding.line - 1,
+    column: mapColumn(finding.line, finding.column),
+    endLine: region.line + finding.endLine - 1,
+    endColumn: mapColumn(finding.endLine, finding.endColumn),
+  };
+}
+
+/**
+ * Converts an offset in a document to a 1-based line and column.
+ */
+function positionAt(content: string, offset: number): { line: number; column: number } {
+  const before = content.slice(0, offset);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return { line: before.split('\n').length, column: offset - lineStart + 1 };
+}
+
 /**
  * Recursively traverses HTML nodes
  */
-function traverseHtmlNode(node: any, findings: Finding[], htmlContent: string) {
+function traverseHtmlNode(
+  node: any,
+  findings: Finding[],
+  htmlContent: string,
+  target: BaselineTarget,
+  embedded: EmbeddedRegion[],
+  isComponentTemplate: boolean
+) {
   if (node.nodeName && node.nodeName !== '#document' && node.nodeName !== '#text') {
-    checkHtmlElement(node, findings, htmlContent);
+    if (!isComponentTemplate || !isComponentTag(node, htmlContent)) {
+      checkHtmlElement(node, findings, htmlContent, target);
+    }
+    collectEmbeddedRegions(node, htmlContent, embedded);
   }
   
-  if (node.childNodes) {
-    for (const child of node.childNodes) {
-      traverseHtmlNode(child, findings, htmlContent);
+  // <template> children live in a separate document fragment.
+  const children = [...(node.childNodes || []), ...(node.content?.childNodes || [])];
+  for (const child of children) {
+    traverseHtmlNode(child, findings, htmlContent, target, embedded, isComponentTemplate);
+  }
+}
+
+/**
+ * True for tags written with capitals in the source (`<Dialog>`), which parse5 lowercases.
+ */
+function isComponentTag(node: any, htmlContent: string): boolean {
+  const startTag = node.sourceCodeLocation?.startTag;
+  if (!startTag) return false;
+  const name = htmlContent.slice(startTag.startOffset + 1, startTag.startOffset + 1 + node.nodeName.length);
+  return name !== name.toLowerCase();
+}
+
+/**
+ * Collects the CSS and JS of an element: the text of <style> and inline <script> blocks and the style="" attribute.
+ */
+function collectEmbeddedRegions(node: any, htmlContent: string, embedded: EmbeddedRegion[]) {
+  const tagName = node.nodeName?.toLowerCase();
+  const attrs: any[] = node.attrs || [];
+  const text = node.childNodes?.find((child: any) => child.nodeName === '#text');
+
+  if (text?.sourceCodeLocation && tagName === 'style') {
+    embedded.push({ language: 'css', content: text.value, line: text.sourceCodeLocation.startLine, column: text.sourceCodeLocation.startCol });
+  }
+  if (text?.sourceCodeLocation && tagName === 'script' && !attrs.some(attr => attr.name === 'src')) {
+    const type = (attrs.find(attr => attr.name === 'type')?.value || '').trim().toLowerCase();
+    if (JS_SCRIPT_TYPES.has(type)) {
+      embedded.push({ language: 'javascript', content: text.value, line: text.sourceCodeLocation.startLine, column: text.sourceCodeLocation.startCol });
     }
   }
+
+  const styleLocation = node.sourceCodeLocation?.attrs?.style;
+  const valueSpan = styleLocation && getAttributeValueSpan(htmlContent, styleLocation);
+  if (valueSpan) {
+    // Scan the value as written in the source, so positions line up even if it contains entities.
+    const { line, column } = positionAt(htmlContent, valueSpan.start);
+    embedded.push({ language: 'css', content: htmlContent.slice(valueSpan.start, valueSpan.end), line, column });
+  }
 }
 
+// Obsolete elements have no compat data in web-features, so they are matched against the curated remediations.
+const DEPRECATED_ELEMENTS = new Set(['marquee', 'blink', 'center', 'font', 'big', 'strike', 'tt']);
+
+// Attributes whose value is a list of tokens, each with its own BCD key (rel="preload modulepreload").
+const TOKEN_LIST_ATTRIBUTES = new Set(['rel', 'sandbox', 'blocking']);
+
 /**
  * Checks HTML element for non-Baseline features
  */
-function checkHtmlElement(node: any, findings: Finding[], htmlContent: string) {
+function checkHtmlElement(node: any, findings: Finding[], htmlContent: string, target: BaselineTarget) {
   const tagName = node.nodeName?.toLowerCase();
   if (!tagName) return;
   
   const location = node.sourceCodeLocation;
   if (!location) return;
+
+  // Underline the tag name in the start tag: <dialog ...>
+  const tagStart = (location.startTag || location).startOffset + 1;
+  const tagEnd = tagStart + tagName.length;
   
-  // Check deprecated HTML elements
-  const deprecatedElements = ['marquee', 'blink', 'center', 'font', 'big', 'strike', 'tt'];
-  if (deprecatedElements.includes(tagName)) {
-    const featureId = `html.elements.${tagName}`;
-    if (REMEDIATION_DATABASE[featureId]) {
-      pushHtmlFinding(findings, featureId, `Deprecated HTML element: <${tagName}>`, location.startLine || 1, location.startCol || 0, htmlContent);
+  const elementKey = findElementKey(tagName);
+  if (elementKey) {
+    const details = checkReportable(elementKey, target);
+    if (details) {
+      pushHtmlFinding(findings, elementKey, describeFeatureStatus(`<${tagName}>`, elementKey, details, target), tagStart, tagEnd, htmlContent, details);
     }
-  }
-  
-  // Check modern non-Baseline HTML elements
-  const modernElements = ['dialog', 'details', 'summary'];
-  if (modernElements.includes(tagName)) {
+  } else if (DEPRECATED_ELEMENTS.has(tagName)) {
     const featureId = `html.elements.${tagName}`;
-    if (REMEDIATION_DATABASE[featureId]) {
-      pushHtmlFinding(findings, featureId, `HTML element <${tagName}> is not Baseline`, location.startLine || 1, location.startCol || 0, htmlContent);
+    const details = checkReportable(featureId, target);
+    if (details) {
+      pushHtmlFinding(findings, featureId, `Deprecated HTML element: <${tagName}>`, tagStart, tagEnd, htmlContent, details);
     }
   }
   
   // Check attributes
   if (node.attrs) {
     for (const attr of node.attrs) {
-      checkHtmlAttribute(attr, tagName, location, findings, htmlContent);
+      checkHtmlAttribute(attr, node, tagName, findings, htmlContent, target);
     }
   }
 }
 
 /**
- * Checks HTML attributes
+ * Checks an HTML attribute and its value: element-specific attributes (`<img fetchpriority>`), global attributes
+ * (`popover`) and values with their own keys (`<link rel="modulepreload">`, `<script type="importmap">`, `<input type="date">`).
+ * Attribute findings underline the attribute name, value findings the value token.
  */
-function checkHtmlAttribute(attr: any, tagName: string, location: any, findings: Finding[], htmlContent: string) {
+function checkHtmlAttribute(attr: any, node: any, tagName: string, findings: Finding[], htmlContent: string, target: BaselineTarget) {
   const attrName = attr.name.toLowerCase();
-  
-  // Check global non-Baseline attributes
-  const nonBaselineAttrs = ['popover', 'inert', 'enterkeyhint'];
-  if (nonBaselineAttrs.includes(attrName)) {
-    const featureId = `html.global_attributes.${attrName}`;
-    if (REMEDIATION_DATABASE[featureId]) {
-      pushHtmlFinding(findings, featureId, `HTML attribute '${attrName}' is not Baseline`, location.startLine || 1, location.startCol || 0, htmlContent);
-    }
-  }
-  
-  // Check input types
-  if (tagName === 'input' && attrName === 'type') {
-    const typeValue = attr.value.toLowerCase();
-    const nonBaselineTypes = ['date', 'color', 'datetime-local', 'month', 'week', 'time'];
-    if (nonBaselineTypes.includes(typeValue)) {
-      const featureId = `html.elements.input.type_${typeValue.replace('-', '_')}`;
-      if (REMEDIATION_DATABASE[featureId]) {
-        pushHtmlFinding(findings, featureId, `Input type="${typeValue}" is not Baseline`, location.startLine || 1, location.startCol || 0, htmlContent);
-      }
+  const attrLocation = node.sourceCodeLocation?.attrs?.[attr.name];
+  if (!attrLocation) return;
+  const report = (featureId: string | undefined, label: string, start: number, end: number) => {
+    if (!featureId) return;
+    const details = checkReportable(featureId, target);
+    if (details) {
+      pushHtmlFinding(findings, featureId, describeFeatureStatus(label, featureId, details, target), start, end, htmlContent, details);
     }
+  };
+
+  const attrKey = findAttributeKey(tagName, attrName);
+  const nameEnd = attrLocation.startOffset + attr.name.length;
+  report(attrKey, attrKey?.startsWith('html.global_attributes.') ? `${attrName} attribute` : `<${tagName} ${attrName}>`, attrLocation.startOffset, nameEnd);
+
+  const valueSpan = getAttributeValueSpan(htmlContent, attrLocation);
+  if (!valueSpan) return;
+  // The value as written in the source, so token offsets line up even if it contains entities.
+  const rawValue = htmlContent.slice(valueSpan.start, valueSpan.end);
+  // iframe allow="camera; fullscreen 'self'" lists permissions policy features before their allowlists.
+  const tokenPattern = attrName === 'allow' && tagName === 'iframe'
+    ? /(?:^|;)\s*([^\s;]+)/g
+    : TOKEN_LIST_ATTRIBUTES.has(attrName) ? /()(\S+)/g : /^\s*(.*\S)/g;
+  for (const match of rawValue.matchAll(tokenPattern)) {
+    const token = match[match.length - 1];
+    if (!token) continue;
+    const start = valueSpan.start + match.index! + match[0].length - token.length;
+    report(findAttributeValueKey(tagName, attrName, token), `<${tagName} ${attrName}="${token}">`, start, start + token.length);
   }
-  
-  // Check loading attribute
-  if (attrName === 'loading' && (tagName === 'img' || tagName === 'iframe')) {
-    const featureId = `html.elements.${tagName}.loading`;
-    if (REMEDIATION_DATABASE[featureId]) {
-      pushHtmlFinding(findings, featureId, `loading="${attr.value}" attribute is not Baseline`, location.startLine || 1, location.startCol || 0, htmlContent);
-    }
+
+  // <link rel="preload" as="font">
+  const value = rawValue.trim();
+  if (value && tagName === 'link' && attrName === 'as' && node.attrs.some((other: any) => other.name === 'rel' && /(^|\s)preload(\s|$)/i.test(other.value))) {
+    report(findAttributeValueKey('link', 'rel', `preload.as-${value}`), `<link rel="preload" as="${value}">`, valueSpan.start, valueSpan.end);
   }
 }
 
 /**
- * Helper to push HTML findings with ignore directive checking
+ * Returns the offsets of an attribute's value (without quotes) from its parse5 location, or undefined for
+ * attributes without a value (`<div inert>`).
+ */
+function getAttributeValueSpan(htmlContent: string, attrLocation: { startOffset: number; endOffset: number }): { start: number; end: number } | undefined {
+  const rawAttr = htmlContent.slice(attrLocation.startOffset, attrLocation.endOffset);
+  const match = rawAttr.match(/^[^\s=]+\s*=\s*(["']?)/);
+  if (!match) return undefined;
+  const quote = match[1];
+  const end = quote && rawAttr.length > match[0].length && rawAttr.endsWith(quote) ? rawAttr.length - 1 : rawAttr.length;
+  return { start: attrLocation.startOffset + match[0].length, end: attrLocation.startOffset + end };
+}
+
+/**
+ * Helper to push HTML findings with ignore directive checking.
+ * `start` and `end` are offsets in the document; the finding covers exactly that text.
  */
 function pushHtmlFinding(
   findings: Finding[],
   featureId: string,
   message: string,
-  line: number,
-  column: number,
-  htmlContent: string
+  start: number,
+  end: number,
+  htmlContent: string,
+  details: Partial<Finding> = {}
 ) {
+  const startPosition = positionAt(htmlContent, start);
+  const endPosition = positionAt(htmlContent, end);
+
   // Check for ignore directive in previous line
   const lines = htmlContent.split('\n');
-  if (line > 1) {
-    const previousLine = lines[line - 2]; // -2 because line is 1-based and array is 0-based
+  if (startPosition.line > 1) {
+    const previousLine = lines[startPosition.line - 2]; // -2 because line is 1-based and array is 0-based
     if (previousLine && previousLine.includes(`baseline-disable-next-line ${featureId}`)) {
       console.log(`[HTML Scanner] Skipping ${featureId} due to ignore directive`);
       return;
     }
   }
   
-  // Avoid duplicates
-  if (findings.some(f => f.featureId === featureId && f.line === line && f.column === column)) {
-    return;
-  }
-  
-  // Make the underline span at least 20 characters so it's visible
-  const endColumn = column + 20;
-  
-  pushFinding(findings, featureId, message, { 
-    start: { line, column },
-    end: { line, column: endColumn }
-  });
+  pushFinding(findings, featureId, message, { start: startPosition, end: endPosition }, details);
 }
 
 /**
  * A helper function to get a remediation from the database.
+ * Generated remediations are keyed by their feature's primary BCD key, so any other BCD key, web-features ID
+ * or webstatus ID of the same feature finds them too.
  */
 export function getRemediation(fixId: string): Remediation | undefined {
-  return REMEDIATION_DATABASE[fixId];
+  if (REMEDIATION_DATABASE[fixId]) {
+    return REMEDIATION_DATABASE[fixId];
+  }
+  const { webFeatureId } = resolveFeatureIdentity(fixId);
+  const primaryKey = webFeatureId && resolveFeatureIdentity(webFeatureId).bcdKey;
+  return primaryKey ? REMEDIATION_DATABASE[primaryKey] : undefined;
 }
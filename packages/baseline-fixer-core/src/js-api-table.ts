@@ -0,0 +1,155 @@
+import { getFeatureIndex, getIndexedKeys } from './feature-index.js';
+
+/**
+ * Lookup tables for JavaScript API detection, generated from the `api.*` and
+ * `javascript.builtins.*` BCD keys that web-features lists in `compat_features`.
+ */
+export interface JsApiTable {
+  keys: Set<string>;
+  globals: Map<string, string>; // 'fetch' -> 'api.fetch', 'Map' -> 'javascript.builtins.Map'
+  interfaces: Map<string, string>; // 'Navigator' -> 'api.Navigator', used to build member and constructor keys
+  instances: Map<string, string>; // Well-known global objects to their interface: 'navigator' -> 'Navigator'
+  members: Map<string, string[]>; // Instance member name -> every key that defines it
+}
+
+/**
+ * The global, interface, instance and member tables as the feature index stores them.
+ */
+export interface JsApiLookups {
+  globals: Record<string, string>;
+  interfaces: Record<string, string>;
+  instances: Record<string, string>;
+  members: Record<string, string[]>;
+}
+
+// Objects that expose every global as a property.
+export const GLOBAL_ALIASES = new Set(['window', 'self', 'globalThis']);
+
+// Window properties whose interface name is not just the capitalized property name.
+const INSTANCE_OVERRIDES: Record<string, string> = {
+  localStorage: 'Storage',
+  sessionStorage: 'Storage',
+  customElements: 'CustomElementRegistry',
+  caches: 'CacheStorage',
+  indexedDB: 'IDBFactory',
+};
+
+const IDENTIFIER = /^[A-Za-z$][\w$]*$/;
+
+let table: JsApiTable | undefined;
+
+/**
+ * Builds the lookup tables from every BCD key in the feature index (see buildFeatureIndex).
+ */
+export function buildJsApiLookups(allKeys: string[]): JsApiLookups {
+  const keys = allKeys.filter(key => key.startsWith('api.') || key.startsWith('javascript.builtins.'));
+
+  const globals = new Map<string, string>();
+  const interfaces = new Map<string, string>();
+  const members = new Map<string, string[]>();
+
+  for (const key of keys) {
+    const isBuiltin = key.startsWith('javascript.builtins.');
+    const [owner, member, ...rest] = key.split('.').slice(isBuiltin ? 2 : 1);
+    if (!IDENTIFIER.test(owner) || rest.length > 0) continue;
+    // Not every interface has a key of its own (api.Navigator), but its members still do.
+    interfaces.set(owner, `${isBuiltin ? 'javascript.builtins' : 'api'}.${owner}`);
+
+    if (!member) {
+      // api.fetch, api.ResizeObserver, javascript.builtins.Map
+      globals.set(owner, key);
+      continue;
+    }
+
+    if (owner === 'Window' && IDENTIFIER.test(member)) {
+      // Window members are reachable as bare globals (api.Window.localStorage -> localStorage).
+      if (!globals.has(member)) globals.set(member, key);
+      continue;
+    }
+
+    // Skip constructors (api.X.X), statics (api.X.y_static), events and other sub-features.
+    if (member === owner || member.includes('_') || !IDENTIFIER.test(member)) continue;
+    // Builtins don't separate static from prototype members, so both are candidates here.
+    const candidates = members.get(member) || [];
+    candidates.push(key);
+    members.set(member, candidates);
+  }
+
+  const instances = new Map<string, string>();
+  for (const key of keys) {
+    const match = key.match(/^api\.Window\.([a-z]\w*)$/);
+    if (!match) continue;
+    const name = match[1];
+    const iface = INSTANCE_OVERRIDES[name] || name[0].toUpperCase() + name.slice(1);
+    if (interfaces.has(iface)) {
+      instances.set(name, iface);
+    }
+  }
+
+  return {
+    globals: Object.fromEntries(globals),
+    interfaces: Object.fromEntries(interfaces),
+    instances: Object.fromEntries(instances),
+    members: Object.fromEntries(members),
+  };
+}
+
+/**
+ * Returns the JS API lookup tables, read (once) from the feature index.
+ */
+export function getJsApiTable(): JsApiTable {
+  if (!table) {
+    const { js } = getFeatureIndex();
+    table = {
+      keys: new Set(getIndexedKeys('api.', 'javascript.builtins.')),
+      globals: new Map(Object.entries(js.globals)),
+      interfaces: new Map(Object.entries(js.interfaces)),
+      instances: new Map(Object.entries(js.instances)),
+      members: new Map(Object.entries(js.members)),
+    };
+  }
+  return table;
+}
+
+/**
+ * Returns the BCD key for a static member of a global (`Object.hasOwn`, `URL.canParse`, `Intl.Segmenter`),
+ * or undefined if web-features doesn't list one.
+ */
+export function findStaticKey(owner: string, member: string): string | undefined {
+  const { keys, interfaces } = getJsApiTable();
+  const ownerKey = interfaces.get(owner);
+  if (!ownerKey) return undefined;
+  return [`${ownerKey}.${member}_static`, `${ownerKey}.${member}`].find(key => keys.has(key));
+}
+
+/**
+ * Returns the BCD key for an instance member of an interface (`Navigator.clipboard`, `Array.prototype.at`),
+ * or undefined if web-features doesn't list one.
+ */
+export function findMemberKey(iface: string, member: string): string | undefined {
+  const { keys, interfaces } = getJsApiTable();
+  const ifaceKey = interfaces.get(iface);
+  const key = `${ifaceKey}.${member}`;
+  return ifaceKey && keys.has(key) ? key : undefined;
+}
+
+/**
+ * Returns the BCD key to check for `new X()`: the constructor sub-feature if there is one,
+ * otherwise the key of X itself.
+ */
+export function findConstructorKey(key: string): string {
+  const name = key.split('.').pop();
+  const constructorKey = `${key}.${name}`;
+  return getJsApiTable().keys.has(constructorKey) ? constructorKey : key;
+}
+
+/**
+ * Returns a readable name for an instance member key: 'Array.prototype.at', 'Navigator.share'.
+ */
+export function describeMemberKey(key: string): string {
+  if (key.startsWith('javascript.builtins.')) {
+    const [owner, member] = key.split('.').slice(2);
+    return `${owner}.prototype.${member}`;
+  }
+  return key.split('.').slice(1).join('.');
+}
@@ -0,0 +1,193 @@
+import type { NodePath } from '@babel/traverse';
+import { getJsApiTable, GLOBAL_ALIASES } from './js-api-table.js';
+
+/**
+ * The names a condition guarantees to exist when it is true and when it is false.
+ * `'share' in navigator` -> { whenTrue: ['navigator.share'], whenFalse: [] }
+ */
+interface GuardedNames {
+  whenTrue: Set<string>;
+  whenFalse: Set<string>;
+}
+
+const EQUALITY_OPERATORS = new Set(['===', '==', '!==', '!=']);
+
+/**
+ * Returns the dotted name of an expression, with global aliases dropped:
+ * `window.navigator.share` -> 'navigator.share', `globalThis['ResizeObserver']` -> 'ResizeObserver'.
+ */
+function getGuardName(node: any): string | undefined {
+  if (!node) return undefined;
+  if (node.type === 'TSAsExpression' || node.type === 'TSNonNullExpression' || node.type === 'ParenthesizedExpression') {
+    return getGuardName(node.expression);
+  }
+  if (node.type === 'Identifier') {
+    return node.name;
+  }
+  if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+    const property = !node.computed && node.property.type === 'Identifier'
+      ? node.property.name
+      : node.property.type === 'StringLiteral' ? node.property.value : undefined;
+    const owner = getGuardName(node.object);
+    if (!property || !owner) return undefined;
+    return GLOBAL_ALIASES.has(owner) ? property : `${owner}.${property}`;
+  }
+  return undefined;
+}
+
+/**
+ * Checks whether a use of a global or member (`new ResizeObserver()`, `navigator.share()`) only runs
+ * where the code has detected the feature:
+ * - inside `if ('ResizeObserver' in window)`, `if (typeof navigator.share === 'function')`, `if (navigator.share)`,
+ *   the right side of `navigator.share && ...` or a ternary on the same checks,
+ * - after an early exit such as `if (!('share' in navigator)) return;`,
+ * - through optional chaining (`navigator.share?.()`, `navigator.clipboard?.writeText()`),
+ * - as a construction inside a `try` block with a `catch`,
+ * - or as the subject of the check itself (`typeof navigator.share`).
+ */
+export function isFeatureGuarded(path: NodePath<any>): boolean {
+  const { node } = path;
+  const parent = path.parent as any;
+  if (parent.optional && ((parent.type === 'OptionalCallExpression' && parent.callee === node) ||
+    (parent.type === 'OptionalMemberExpression' && parent.object === node))) {
+    return true;
+  }
+  if (isDetection(path)) {
+    return true;
+  }
+
+  const name = getGuardName(node);
+  const isConstructed = parent.type === 'NewExpression' && parent.callee === node;
+  let child: NodePath<any> = path;
+  for (let current = path.parentPath; current; child = current, current = current.parentPath) {
+    const ancestor = current.node as any;
+    if (current.isIfStatement() || current.isConditionalExpression()) {
+      if (child.node === ancestor.consequent && covers(analyzeCondition(ancestor.test).whenTrue, name)) return true;
+      if (child.node === ancestor.alternate && covers(analyzeCondition(ancestor.test).whenFalse, name)) return true;
+    } else if (current.isLogicalExpression() && child.node === ancestor.right) {
+      const left = analyzeCondition(ancestor.left);
+      if (ancestor.operator === '&&' && covers(left.whenTrue, name)) return true;
+      if (ancestor.operator === '||' && covers(left.whenFalse, name)) return true;
+    } else if (current.isTryStatement() && child.node === ancestor.block && ancestor.handler && isConstructed) {
+      return true;
+    } else if ((current.isBlockStatement() || current.isProgram()) && typeof child.key === 'number') {
+      // Early exit: if (!('share' in navigator)) return;
+      const statements = (child.container as any[]).slice(0, child.key);
+      const exitsWithoutFeature = statements.some(statement =>
+        statement.type === 'IfStatement' && !statement.alternate && alwaysExits(statement.consequent) &&
+        covers(analyzeCondition(statement.test).whenFalse, name)
+      );
+      if (exitsWithoutFeature) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * True when the use is the thing being tested: `typeof X`, `X != null`, `!X`, `X && ...`, `if (X)`.
+ */
+function isDetection(path: NodePath<any>): boolean {
+  const { node } = path;
+  const parent = path.parent as any;
+  if (parent.type === 'UnaryExpression' && (parent.operator === 'typeof' || parent.operator === '!')) {
+    return true;
+  }
+  if (parent.type === 'BinaryExpression' && EQUALITY_OPERATORS.has(parent.operator)) {
+    const other = parent.left === node ? parent.right : parent.left;
+    return isNullish(other);
+  }
+  if (parent.type === 'LogicalExpression' && parent.left === node) {
+    return true;
+  }
+  let child: NodePath<any> = path;
+  let current = path.parentPath;
+  while (current && current.isLogicalExpression()) {
+    child = current;
+    current = current.parentPath;
+  }
+  return !!current && (current.isIfStatement() || current.isConditionalExpression() || current.isWhileStatement()) &&
+    (current.node as any).test === child.node;
+}
+
+/**
+ * Works out which names a condition guarantees, following `!`, `&&` and `||`.
+ */
+function analyzeCondition(node: any): GuardedNames {
+  const none: GuardedNames = { whenTrue: new Set(), whenFalse: new Set() };
+  if (node.type === 'ParenthesizedExpression') {
+    return analyzeCondition(node.expression);
+  }
+  if (node.type === 'UnaryExpression' && node.operator === '!') {
+    const inner = analyzeCondition(node.argument);
+    return { whenTrue: inner.whenFalse, whenFalse: inner.whenTrue };
+  }
+  if (node.type === 'LogicalExpression' && (node.operator === '&&' || node.operator === '||')) {
+    const left = analyzeCondition(node.left);
+    const right = analyzeCondition(node.right);
+    return node.operator === '&&'
+      ? { whenTrue: union(left.whenTrue, right.whenTrue), whenFalse: intersection(left.whenFalse, right.whenFalse) }
+      : { whenTrue: intersection(left.whenTrue, right.whenTrue), whenFalse: union(left.whenFalse, right.whenFalse) };
+  }
+  if (node.type === 'BinaryExpression' && node.operator === 'in' && node.left.type === 'StringLiteral') {
+    // 'ResizeObserver' in window, 'share' in navigator
+    const owner = getGuardName(node.right);
+    if (!owner) return none;
+    return { whenTrue: new Set([GLOBAL_ALIASES.has(owner) ? node.left.value : `${owner}.${node.left.value}`]), whenFalse: new Set() };
+  }
+  if (node.type === 'BinaryExpression' && EQUALITY_OPERATORS.has(node.operator)) {
+    const negated = node.operator.startsWith('!');
+    const [subject, other] = node.left.type === 'UnaryExpression' || isNullish(node.right)
+      ? [node.left, node.right]
+      : [node.right, node.left];
+    let name: string | undefined;
+    let presentWhenEqual = false;
+    if (subject.type === 'UnaryExpression' && subject.operator === 'typeof' && other.type === 'StringLiteral') {
+      // typeof X === 'function' guarantees X, typeof X === 'undefined' rules it out.
+      name = getGuardName(subject.argument);
+      presentWhenEqual = other.value !== 'undefined';
+    } else if (isNullish(other)) {
+      name = getGuardName(subject);
+    }
+    if (!name) return none;
+    const names = new Set([name]);
+    return presentWhenEqual !== negated ? { whenTrue: names, whenFalse: new Set() } : { whenTrue: new Set(), whenFalse: names };
+  }
+  const name = getGuardName(node);
+  return name ? { whenTrue: new Set([name]), whenFalse: new Set() } : none;
+}
+
+/**
+ * Checks whether a guaranteed name covers a use. A guard also covers what is reached through it
+ * (`navigator.clipboard` covers `navigator.clipboard.writeText`), except for objects that always exist
+ * (`typeof navigator !== 'undefined'` is an SSR check, not feature detection).
+ */
+function covers(names: Set<string>, name: string | undefined): boolean {
+  if (!name) return false;
+  if (names.has(name)) return true;
+  const { instances } = getJsApiTable();
+  for (const guard of names) {
+    if (name.startsWith(`${guard}.`) && !GLOBAL_ALIASES.has(guard) && !instances.has(guard)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function alwaysExits(statement: any): boolean {
+  if (statement.type === 'BlockStatement') {
+    return statement.body.length > 0 && alwaysExits(statement.body[statement.body.length - 1]);
+  }
+  return ['ReturnStatement', 'ThrowStatement', 'BreakStatement', 'ContinueStatement'].includes(statement.type);
+}
+
+function isNullish(node: any): boolean {
+  return node.type === 'NullLiteral' || (node.type === 'Identifier' && node.name === 'undefined');
+}
+
+function union(a: Set<string>, b: Set<string>): Set<string> {
+  return new Set([...a, ...b]);
+}
+
+function intersection(a: Set<string>, b: Set<string>): Set<string> {
+  return new Set([...a].filter(name => b.has(name)));
+}
@@ -0,0 +1,270 @@
+import type { NodePath } from '@babel/traverse';
+
+/**
+ * Detection of JavaScript syntax features (optional chaining, class static blocks, `using`, regex flags...)
+ * and their `javascript.*` BCD keys.
+ */
+
+interface Position {
+  line: number;
+  column: number;
+}
+
+export interface SyntaxFeatureUse {
+  featureId: string;
+  label: string;
+  loc: { start: Position; end: Position };
+}
+
+// Babel node types that can carry a syntax feature. scanJs visits these.
+export const SYNTAX_NODE_TYPES = [
+  'OptionalMemberExpression',
+  'OptionalCallExpression',
+  'LogicalExpression',
+  'AssignmentExpression',
+  'BinaryExpression',
+  'StaticBlock',
+  'ClassProperty',
+  'ClassPrivateProperty',
+  'ClassPrivateMethod',
+  'AwaitExpression',
+  'ForOfStatement',
+  'VariableDeclaration',
+  'ImportDeclaration',
+  'RegExpLiteral',
+  'NewExpression',
+  'CallExpression',
+];
+
+const OPERATORS: Record<string, { featureId: string; label: string }> = {
+  '??': { featureId: 'javascript.operators.nullish_coalescing', label: 'nullish coalescing (??)' },
+  '??=': { featureId: 'javascript.operators.nullish_coalescing_assignment', label: 'nullish coalescing assignment (??=)' },
+  '||=': { featureId: 'javascript.operators.logical_or_assignment', label: 'logical OR assignment (||=)' },
+  '&&=': { featureId: 'javascript.operators.logical_and_assignment', label: 'logical AND assignment (&&=)' },
+  '**': { featureId: 'javascript.operators.exponentiation', label: 'exponentiation (**)' },
+  '**=': { featureId: 'javascript.operators.exponentiation_assignment', label: 'exponentiation assignment (**=)' },
+};
+
+const REGEX_FLAGS: Record<string, { featureId: string; label: string }> = {
+  d: { featureId: 'javascript.builtins.RegExp.hasIndices', label: 'RegExp d flag' },
+  s: { featureId: 'javascript.builtins.RegExp.dotAll', label: 'RegExp s flag' },
+  u: { featureId: 'javascript.builtins.RegExp.unicode', label: 'RegExp u flag' },
+  v: { featureId: 'javascript.builtins.RegExp.unicodeSets', label: 'RegExp v flag' },
+  y: { featureId: 'javascript.builtins.RegExp.sticky', label: 'RegExp y flag' },
+};
+
+/**
+ * Lists the syntax features of one node. `source` is the file content, used to find operator tokens.
+ */
+export function collectSyntaxFeatures(path: NodePath<any>, source: string): SyntaxFeatureUse[] {
+  const { node } = path;
+  const uses: SyntaxFeatureUse[] = [];
+  const add = (featureId: string, label: string, loc: { start: Position; end: Position }) => {
+    uses.push({ featureId, label, loc });
+  };
+
+  switch (node.type) {
+    case 'OptionalMemberExpression':
+    case 'OptionalCallExpression': {
+      if (!node.optional) break; // A later link of an `a?.b.c` chain
+      const before = node.type === 'OptionalMemberExpression' ? node.object : node.callee;
+      const token = findToken(source, '?.', before);
+      if (token) add('javascript.operators.optional_chaining', 'optional chaining (?.)', token);
+      break;
+    }
+    case 'LogicalExpression':
+    case 'AssignmentExpression':
+    case 'BinaryExpression': {
+      if (node.type === 'BinaryExpression' && node.operator === 'in' && node.left.type === 'PrivateName') {
+        add('javascript.classes.private_class_fields_in', 'private field check (#x in obj)', node.left.loc);
+        break;
+      }
+      const operator = OPERATORS[node.operator];
+      const token = operator && findToken(source, node.operator, node.left);
+      if (token) add(operator.featureId, operator.label, token);
+      break;
+    }
+    case 'StaticBlock':
+      add('javascript.classes.static.initialization_blocks', 'class static initialization block', keywordLoc(node, 'static'));
+      break;
+    case 'ClassProperty':
+      if (node.declare || node.abstract) break; // TypeScript-only, nothing is emitted
+      if (node.static) {
+        add('javascript.classes.static.class_fields', 'static class fields', node.key.loc);
+      } else {
+        add('javascript.classes.public_class_fields', 'public class fields', node.key.loc);
+      }
+      break;
+    case 'ClassPrivateProperty':
+      add('javascript.classes.private_class_fields', 'private class fields', node.key.loc);
+      break;
+    case 'ClassPrivateMethod':
+      add('javascript.classes.private_class_methods', 'private class methods', node.key.loc);
+      break;
+    case 'AwaitExpression':
+      if (!path.getFunctionParent()) {
+        add('javascript.operators.await.top_level', 'top-level await', keywordLoc(node, 'await'));
+      }
+      break;
+    case 'ForOfStatement':
+      if (node.await) {
+        const loc = findToken(source, 'await', { end: node.start, loc: { end: node.loc.start } });
+        if (loc) {
+          add('javascript.statements.for_await_of', 'for await...of', loc);
+          if (!path.getFunctionParent()) add('javascript.operators.await.top_level', 'top-level await', loc);
+        }
+      }
+      break;
+    case 'VariableDeclaration':
+      if (node.kind === 'using') {
+        add('javascript.statements.using', 'using declarations', keywordLoc(node, 'using'));
+      } else if (node.kind === 'await using') {
+        add('javascript.statements.await_using', 'await using declarations', keywordLoc(node, 'await'));
+      }
+      break;
+    case 'ImportDeclaration': {
+      const attributes = node.attributes || node.assertions || [];
+      if (attributes.length === 0) break;
+      const kind = node.extra?.deprecatedAssertSyntax ? 'import_assertions' : 'import_attributes';
+      const label = kind === 'import_assertions' ? 'import assertions' : 'import attributes';
+      const type = attributes.find((attribute: any) => (attribute.key.name || attribute.key.value) === 'type');
+      const loc = { start: attributes[0].loc.start, end: attributes[attributes.length - 1].loc.end };
+      add(`javascript.statements.import.${kind}`, label, loc);
+      if (type?.value.type === 'StringLiteral') {
+        add(`javascript.statements.import.${kind}.type_${type.value.value}`, `${label} (type: '${type.value.value}')`, type.loc);
+      }
+      break;
+    }
+    case 'RegExpLiteral': {
+      const { line, column } = node.loc.start;
+      const at = (index: number, length: number) => ({ start: { line, column: column + index }, end: { line, column: column + index + length } });
+      for (const use of collectRegexFeatures(node.pattern, node.flags)) {
+        // Pattern features are offset by the opening slash, flags follow the closing one.
+        const index = use.inFlags ? node.end - node.start - node.flags.length + use.index : 1 + use.index;
+        add(use.featureId, use.label, at(index, use.length));
+      }
+      break;
+    }
+    case 'NewExpression':
+    case 'CallExpression': {
+      // new RegExp('(?<=\\$)\\d+', 'v'). String escapes make pattern offsets unreliable, so the whole argument is reported.
+      if (node.callee.type !== 'Identifier' || node.callee.name !== 'RegExp' || path.scope.hasBinding('RegExp', true)) break;
+      const [pattern, flags] = node.arguments;
+      const patternText = pattern?.type === 'StringLiteral' ? pattern.value : '';
+      const flagsText = flags?.type === 'StringLiteral' ? flags.value : '';
+      for (const use of collectRegexFeatures(patternText, flagsText)) {
+        add(use.featureId, use.label, (use.inFlags ? flags : pattern).loc);
+      }
+      break;
+    }
+  }
+  return uses;
+}
+
+interface RegexFeatureUse {
+  featureId: string;
+  label: string;
+  index: number;
+  length: number;
+  inFlags: boolean;
+}
+
+/**
+ * Lists the flags and pattern features of a regular expression: lookbehind, named groups and backreferences,
+ * `\p{...}` property escapes and modifiers. Escapes and character classes are skipped, so `[(?<=]` is not a lookbehind.
+ */
+function collectRegexFeatures(pattern: string, flags: string): RegexFeatureUse[] {
+  const uses: RegexFeatureUse[] = [];
+  const add = (featureId: string, label: string, index: number, length: number, inFlags = false) => {
+    uses.push({ featureId, label, index, length, inFlags });
+  };
+  [...flags].forEach((flag, index) => {
+    if (REGEX_FLAGS[flag]) add(REGEX_FLAGS[flag].featureId, REGEX_FLAGS[flag].label, index, 1, true);
+  });
+
+  const unicode = flags.includes('u') || flags.includes('v');
+  const groupNames = new Set<string>();
+  let classDepth = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      const next = pattern[i + 1];
+      if (next === 'k' && pattern[i + 2] === '<' && classDepth === 0) {
+        add('javascript.regular_expressions.named_backreference', 'named backreference (\\k<name>)', i, pattern.indexOf('>', i) + 1 - i);
+      } else if ((next === 'p' || next === 'P') && pattern[i + 2] === '{' && unicode) {
+        add('javascript.regular_expressions.unicode_character_class_escape', 'Unicode property escape (\\p{...})', i, pattern.indexOf('}', i) + 1 - i);
+      }
+      i++;
+      continue;
+    }
+    if (char === '[') {
+      // The v flag allows nested classes; without it `[` inside a class is a literal.
+      if (classDepth === 0 || flags.includes('v')) classDepth++;
+      continue;
+    }
+    if (char === ']' && classDepth > 0) {
+      classDepth--;
+      continue;
+    }
+    if (char !== '(' || classDepth > 0 || pattern[i + 1] !== '?') continue;
+
+    const rest = pattern.slice(i + 2);
+    const name = rest.match(/^<([A-Za-z_$][\w$]*)>/);
+    if (rest.startsWith('<=') || rest.startsWith('<!')) {
+      add('javascript.regular_expressions.lookbehind_assertion', 'lookbehind assertion', i, 4);
+    } else if (name) {
+      if (groupNames.has(name[1])) {
+        add('javascript.regular_expressions.named_capturing_group.duplicate_named_capturing_groups', 'duplicate named capturing groups', i, name[0].length + 2);
+      } else {
+        add('javascript.regular_expressions.named_capturing_group', 'named capturing group', i, name[0].length + 2);
+      }
+      groupNames.add(name[1]);
+    } else {
+      const modifier = rest.match(/^[ims]*(?:-[ims]+)?:/);
+      if (modifier && modifier[0] !== ':') {
+        add('javascript.regular_expressions.modifier', 'regular expression modifier', i, modifier[0].length + 2);
+      }
+    }
+  }
+  return uses;
+}
+
+/**
+ * Returns the location of the keyword a node starts with (`static`, `using`, `await`).
+ */
+function keywordLoc(node: any, keyword: string): { start: Position; end: Position } {
+  const { line, column } = node.loc.start;
+  return { start: { line, column }, end: { line, column: column + keyword.length } };
+}
+
+/**
+ * Finds the first occurrence of `token` after a node (an operator after its left operand) and returns its location.
+ * Babel doesn't record operator positions, so the gap is scanned and comments are skipped.
+ */
+function findToken(source: string, token: string, after: { end: number; loc: { end: Position } }): { start: Position; end: Position } | undefined {
+  let { line, column } = after.loc.end;
+  const advance = (to: number) => {
+    for (; i < to; i++) {
+      if (source[i] === '\n') {
+        line++;
+        column = 0;
+      } else {
+        column++;
+      }
+    }
+  };
+  let i = after.end;
+  while (i < source.length) {
+    if (source.startsWith(token, i)) {
+      return { start: { line, column }, end: { line, column: column + token.length } };
+    }
+    if (source.startsWith('//', i)) {
+      advance(source.includes('\n', i) ? source.indexOf('\n', i) : source.length);
+    } else if (source.startsWith('/*', i)) {
+      advance(source.includes('*/', i) ? source.indexOf('*/', i) + 2 : source.length);
+    } else {
+      advance(i + 1);
+    }
+  }
+  return undefined;
+}
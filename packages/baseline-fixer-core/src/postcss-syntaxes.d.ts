@@ -0,0 +1,13 @@
+// postcss-less and postcss-sass don't ship type definitions.
+
+declare module 'postcss-less' {
+  import { Syntax } from 'postcss';
+  const syntax: Syntax;
+  export default syntax;
+}
+
+declare module 'postcss-sass' {
+  import { Syntax } from 'postcss';
+  const syntax: Syntax;
+  export default syntax;
+}
@@ -0,0 +1,28 @@
+import type { ScanOptions } from './index.js';
+import { findProjectBuild } from './build-config.js';
+import { findProjectTargets } from './targets.js';
+
+/**
+ * Resolves the scan options for a file on disk. Explicit targets win; otherwise the nearest browserslist config
+ * of the package that owns the file is used. The build toolchain (Babel, TypeScript, Vite, PostCSS, ...) that
+ * compiles the file is attached too.
+ * @param filePath The file being scanned.
+ * @param options Options that apply to every file, e.g. from the command line or editor settings.
+ * @returns The options for the file, and the browserslist config its targets come from.
+ * @throws If the browserslist config is invalid (see findProjectTargets).
+ */
+export async function getFileScanOptions(
+  filePath: string,
+  options: ScanOptions = {}
+): Promise<{ options: ScanOptions; configPath?: string }> {
+  const fileOptions: ScanOptions = { ...options, filePath, build: await findProjectBuild(filePath) };
+  if (options.targets) {
+    return { options: fileOptions };
+  }
+
+  const project = findProjectTargets(filePath);
+  if (!project) {
+    return { options: fileOptions };
+  }
+  return { options: { ...fileOptions, targets: project.queries }, configPath: project.configPath };
+}
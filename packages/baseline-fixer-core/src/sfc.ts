@@ -0,0 +1,101 @@
+/**
+ * Splits single-file components (Vue, Svelte, Astro) into the template, script and style blocks the scanners understand.
+ */
+export type SfcLanguage = 'vue' | 'svelte' | 'astro';
+
+export interface SfcBlock {
+  kind: 'template' | 'script' | 'style';
+  lang: string; // 'html', 'javascript', 'typescript', 'typescriptreact', 'css', 'scss', ...
+  content: string;
+  offset: number; // Where `content` starts in the file
+}
+
+const BLOCK_PATTERN = /<(script|style)\b([^>]*)>([\s\S]*?)<\/\1\s*>/gi;
+const ASTRO_FRONTMATTER = /^(\s*---\r?\n)([\s\S]*?)\r?\n---/;
+
+const SCRIPT_LANGS: Record<string, string> = {
+  js: 'javascript',
+  javascript: 'javascript',
+  jsx: 'javascript',
+  ts: 'typescript',
+  typescript: 'typescript',
+  tsx: 'typescriptreact',
+};
+
+// <script type> values that hold JavaScript. Others (importmap, speculationrules, JSON, templates) are data.
+export const JS_SCRIPT_TYPES = new Set(['', 'module', 'text/javascript', 'application/javascript', 'text/ecmascript', 'application/ecmascript']);
+
+/**
+ * Splits a component file into blocks.
+ * The template block is the whole file with everything that isn't markup (script and style blocks, Vue's
+ * `<template>` wrapper, Astro frontmatter) blanked out, so template positions need no mapping.
+ */
+export function splitSfc(content: string, language: SfcLanguage): SfcBlock[] {
+  const blocks: SfcBlock[] = [];
+  // Ranges of the file that are not template markup.
+  const masked: Array<[number, number]> = [];
+
+  if (language === 'astro') {
+    const frontmatter = content.match(ASTRO_FRONTMATTER);
+    if (frontmatter) {
+      blocks.push({ kind: 'script', lang: 'typescript', content: frontmatter[2], offset: frontmatter[1].length });
+      masked.push([0, frontmatter[0].length]);
+    }
+  }
+
+  for (const match of content.matchAll(BLOCK_PATTERN)) {
+    const [whole, tag, attributes, body] = match;
+    const start = match.index!;
+    masked.push([start, start + whole.length]);
+    const offset = start + whole.indexOf('>') + 1;
+    const lang = getAttribute(attributes, 'lang')?.toLowerCase();
+
+    if (tag.toLowerCase() === 'style') {
+      blocks.push({ kind: 'style', lang: lang || 'css', content: body, offset });
+      continue;
+    }
+    const type = (getAttribute(attributes, 'type') || '').toLowerCase();
+    if (getAttribute(attributes, 'src') !== undefined || !JS_SCRIPT_TYPES.has(type)) continue;
+    // Astro processes <script> tags as TypeScript, except `is:inline` ones, which are sent to the browser as is.
+    const defaultLang = language === 'astro' && !/\bis:inline\b/.test(attributes) ? 'typescript' : 'javascript';
+    const scriptLang = lang ? SCRIPT_LANGS[lang] : defaultLang;
+    if (scriptLang) {
+      blocks.push({ kind: 'script', lang: scriptLang, content: body, offset });
+    }
+  }
+
+  if (language === 'vue') {
+    // Only the markup inside the top-level <template> is a template; nested <template v-if> tags stay.
+    const open = content.match(/<template\b([^>]*)>/i);
+    const close = content.lastIndexOf('</template>');
+    const templateLang = open ? getAttribute(open[1], 'lang') : undefined;
+    if (!open || close < open.index! || (templateLang && templateLang !== 'html')) {
+      return blocks; // No template, or one written in Pug or another template language
+    }
+    masked.push([0, open.index! + open[0].length], [close, content.length]);
+  }
+
+  blocks.unshift({ kind: 'template', lang: 'html', content: maskRanges(content, masked), offset: 0 });
+  return blocks;
+}
+
+/**
+ * Reads an attribute from the attribute text of a start tag: `lang`, `lang="ts"`, `lang='ts'` or `lang=ts`.
+ * @returns The value ('' for a bare attribute), or undefined if the attribute is missing.
+ */
+function getAttribute(attributes: string, name: string): string | undefined {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}(?:\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+)))?(?=\\s|$)`, 'i'));
+  if (!match) return undefined;
+  return match[1] ?? match[2] ?? match[3] ?? '';
+}
+
+/**
+ * Replaces the given ranges with spaces, keeping line breaks so that line and column numbers don't change.
+ */
+function maskRanges(content: string, ranges: Array<[number, number]>): string {
+  let result = content;
+  for (const [start, end] of ranges) {
+    result = result.slice(0, start) + result.slice(start, end).replace(/[^\r\n]/g, ' ') + result.slice(end);
+  }
+  return result;
+}
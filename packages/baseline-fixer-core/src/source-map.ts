@@ -0,0 +1,74 @@
+import { SourceMapConsumer, RawSourceMap } from 'source-map-js';
+
+/**
+ * Mapping of findings in a built bundle back to the sources it was generated from.
+ */
+
+/**
+ * Where a bundle finding comes from: the project's own code, a dependency bundled from node_modules,
+ * or code the bundler generated itself (runtime helpers, module loader).
+ */
+export type SourceOrigin = 'source' | 'dependency' | 'bundler';
+
+/**
+ * A position in an original source. `source` is the path recorded in the source map, without the
+ * `webpack://` prefix and relative to the map's directory. `column` uses the same base as the finding's column.
+ */
+export interface OriginalLocation {
+  source: string;
+  line: number;
+  column: number;
+  origin: SourceOrigin;
+}
+
+// Virtual modules bundlers add to the output: webpack's runtime, Rollup/Vite helpers (`\0commonjsHelpers.js`).
+const BUNDLER_SOURCES = [/^webpack\/(?:runtime|bootstrap)/, /^\(webpack\)/, /^\0/, /commonjsHelpers/, /rollupPluginBabelHelpers/, /^vite\//, /^__vite-/];
+
+/**
+ * Parses a source map (JSON text or an already parsed object). Returns undefined for an invalid or
+ * index map (`sections`), which bundlers only emit for concatenated output.
+ */
+export function parseSourceMap(sourceMap: string | object): SourceMapConsumer | undefined {
+  try {
+    const raw = typeof sourceMap === 'string' ? JSON.parse(sourceMap) : sourceMap;
+    if (!raw || (raw as any).sections) return undefined;
+    return new SourceMapConsumer(raw as RawSourceMap);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Returns the URL of a bundle's source map from its trailing `//# sourceMappingURL=` (JS) or
+ * `/*# sourceMappingURL= *\/` (CSS) comment. It may be a relative path or a `data:` URL.
+ */
+export function getSourceMappingUrl(content: string): string | undefined {
+  const matches = [...content.matchAll(/(?:\/\/|\/\*)[#@]\s*sourceMappingURL=([^\s*]+)/g)];
+  return matches.length > 0 ? matches[matches.length - 1][1] : undefined;
+}
+
+/**
+ * Finds the original position of a bundle location. `line` is 1-based; `column` is 0-based, as in Babel
+ * findings (CSS findings subtract their 1-based offset before calling this).
+ * Returns undefined when nothing is mapped there, which is the case for most bundler-generated code.
+ */
+export function findOriginalLocation(consumer: SourceMapConsumer, line: number, column: number): OriginalLocation | undefined {
+  const position = consumer.originalPositionFor({ line, column });
+  if (!position.source || position.line == null) return undefined;
+  const source = normalizeSource(position.source);
+  return { source, line: position.line, column: position.column ?? 0, origin: getSourceOrigin(source) };
+}
+
+/**
+ * Strips the bundler prefix of a source path: `webpack://my-app/./src/index.ts` -> `src/index.ts`.
+ */
+function normalizeSource(source: string): string {
+  return source
+    .replace(/^webpack:\/\/[^/]*\//, '')
+    .replace(/^(?:\.\/)+/, '');
+}
+
+function getSourceOrigin(source: string): SourceOrigin {
+  if (BUNDLER_SOURCES.some(pattern => pattern.test(source))) return 'bundler';
+  return /(?:^|[/\\])node_modules[/\\]/.test(source) ? 'dependency' : 'source';
+}
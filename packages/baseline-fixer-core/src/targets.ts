@@ -0,0 +1,202 @@
+import browserslist from 'browserslist';
+
+/**
+ * The browsers that Baseline (and web-features' `status.support`) is computed for.
+ */
+export const CORE_BROWSERS = [
+  'chrome',
+  'chrome_android',
+  'edge',
+  'firefox',
+  'firefox_android',
+  'safari',
+  'safari_ios',
+] as const;
+
+export type BrowserId = (typeof CORE_BROWSERS)[number];
+
+/**
+ * A Target describes what the scanned code has to run on. Every scanner checks
+ * features against a Target instead of a fixed "is Baseline" list.
+ *
+ * - `baseline`: the feature must be Baseline newly (low) or widely (high) available.
+ * - `baseline-year`: the feature must have become Baseline in or before the given year.
+ * - `browsers`: the feature must be supported by the minimum version of every browser
+ *   matched by a browserslist query.
+ */
+export type BaselineTarget =
+  | { kind: 'baseline'; level: 'newly' | 'widely'; query: string }
+  | { kind: 'baseline-year'; year: number; query: string }
+  | { kind: 'browsers'; browsers: Partial<Record<BrowserId, string>>; query: string };
+
+export const DEFAULT_TARGET_QUERY = 'baseline newly available';
+
+// Maps browserslist agent names to the browser IDs used by web-features and BCD.
+export const BROWSERSLIST_TO_BCD: Record<string, BrowserId> = {
+  chrome: 'chrome',
+  and_chr: 'chrome_android',
+  edge: 'edge',
+  firefox: 'firefox',
+  and_ff: 'firefox_android',
+  safari: 'safari',
+  ios_saf: 'safari_ios',
+};
+
+const targetCache = new Map<string, BaselineTarget>();
+
+/**
+ * Resolves a target query into a BaselineTarget.
+ * Accepts "baseline widely available", "baseline newly available", "baseline 2023"
+ * (with or without the "baseline" prefix for the first two), or any browserslist query.
+ * @param query A single query or a list of queries (joined like a browserslist config).
+ */
+export function resolveTarget(query?: string | string[]): BaselineTarget {
+  const normalized = normalizeQuery(query);
+  const cached = targetCache.get(normalized);
+  if (cached) {
+    return cached;
+  }
+
+  const target = parseTargetQuery(normalized);
+  targetCache.set(normalized, target);
+  return target;
+}
+
+function normalizeQuery(query?: string | string[]): string {
+  const parts = (Array.isArray(query) ? query : [query || ''])
+    .map(part => part.trim())
+    .filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : DEFAULT_TARGET_QUERY;
+}
+
+function parseTargetQuery(query: string): BaselineTarget {
+  const lower = query.toLowerCase().replace(/\s+/g, ' ');
+
+  const levelMatch = lower.match(/^(?:baseline )?(widely|newly)(?: available)?$/);
+  if (levelMatch) {
+    return { kind: 'baseline', level: levelMatch[1] as 'newly' | 'widely', query };
+  }
+
+  const yearMatch = lower.match(/^baseline (\d{4})$/);
+  if (yearMatch) {
+    return { kind: 'baseline-year', year: Number(yearMatch[1]), query };
+  }
+
+  return { kind: 'browsers', browsers: resolveBrowserslistQuery(query), query };
+}
+
+/**
+ * Runs a browserslist query and reduces the result to the minimum version per core browser.
+ * Browsers outside the core set (Opera, Samsung Internet, ...) have no web-features data and are dropped.
+ */
+function resolveBrowserslistQuery(query: string): Partial<Record<BrowserId, string>> {
+  const minimums: Partial<Record<BrowserId, string>> = {};
+
+  for (const entry of browserslist(query)) {
+    const [agent, versionRange] = entry.split(' ');
+    const browser = BROWSERSLIST_TO_BCD[agent];
+    if (!browser) continue;
+
+    // Ranges such as "ios_saf 17.4-17.5" are checked against their lower bound.
+    const version = versionRange.split('-')[0];
+    const current = minimums[browser];
+    if (!current || compareVersions(version, current) < 0) {
+      minimums[browser] = version;
+    }
+  }
+
+  return minimums;
+}
+
+/**
+ * A browserslist config found in the project.
+ */
+export interface ProjectTargets {
+  queries: string[];
+  configPath: string; // The `.browserslistrc`, `browserslist` or `package.json` file that defines the queries
+}
+
+const projectTargetsCache = new Map<string, ProjectTargets | Error>();
+
+/**
+ * Finds the browserslist config that applies to a file: the nearest `.browserslistrc`,
+ * `browserslist` file or `browserslist` field in a `package.json`, walking up from the file.
+ * In a monorepo this is the config of the package that owns the file.
+ * Each config is read and validated once; an invalid one throws on every file it applies to.
+ * @param filePath The scanned file (or a directory).
+ * @param env The browserslist environment section to use (e.g. 'production').
+ * @returns The queries and where they came from, or undefined if there is no config.
+ * @throws If the config can't be read or its queries don't resolve.
+ */
+export function findProjectTargets(filePath: string, env?: string): ProjectTargets | undefined {
+  let configPath: string | undefined;
+  try {
+    configPath = browserslist.findConfigFile(filePath);
+  } catch (e) {
+    // Conflicting configs in one directory, or a package.json whose browserslist field is malformed
+    throw new Error(`Invalid browserslist config for ${filePath}: ${(e as Error).message}`);
+  }
+  if (!configPath) {
+    return undefined;
+  }
+
+  const cacheKey = `${configPath}|${env || ''}`;
+  if (!projectTargetsCache.has(cacheKey)) {
+    projectTargetsCache.set(cacheKey, loadProjectTargets(configPath, env));
+  }
+  const cached = projectTargetsCache.get(cacheKey)!;
+  if (cached instanceof Error) {
+    throw cached;
+  }
+  return cached.queries.length > 0 ? cached : undefined;
+}
+
+function loadProjectTargets(configPath: string, env?: string): ProjectTargets | Error {
+  try {
+    const loaded = browserslist.loadConfig({ config: configPath, env });
+    const queries = !loaded ? [] : Array.isArray(loaded) ? loaded : [loaded];
+    if (queries.length > 0) {
+      // Resolved here, so a typo fails once with the config's path instead of inside every scan.
+      resolveTarget(queries);
+    }
+    return { queries, configPath };
+  } catch (e) {
+    return new Error(`Invalid browserslist config in ${configPath}: ${(e as Error).message}`);
+  }
+}
+
+/**
+ * Compares two browser version strings. Handles BCD's ranged ("≤79") and "preview" versions.
+ * @returns A negative number if a < b, positive if a > b, 0 if equal.
+ */
+export function compareVersions(a: string, b: string): number {
+  const pa = parseVersion(a);
+  const pb = parseVersion(b);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+function parseVersion(version: string): number[] {
+  const cleaned = version.replace(/^[≤<=]+/, '').trim();
+  if (cleaned === 'preview' || cleaned === 'TP') {
+    return [Infinity];
+  }
+  return cleaned.split('.').map(part => parseInt(part, 10) || 0);
+}
+
+/**
+ * Returns a short human-readable description of a target, e.g. for CLI output.
+ */
+export function describeTarget(target: BaselineTarget): string {
+  if (target.kind === 'baseline') {
+    return `Baseline ${target.level} available`;
+  }
+  if (target.kind === 'baseline-year') {
+    return `Baseline ${target.year}`;
+  }
+  const browsers = Object.entries(target.browsers).map(([browser, version]) => `${browser} ${version}`);
+  return `${target.query} (${browsers.join(', ') || 'no core browsers'})`;
+}
@@ -0,0 +1,160 @@
+import type * as ts from 'typescript';
+
+/**
+ * Resolves the type of a member receiver, keyed by the start offset of the member name
+ * (`arr.at` -> offset of `at`). Returns one entry per union member, each listing the
+ * platform interface and its base interfaces (`['HTMLDivElement', 'HTMLElement', 'Element', ...]`).
+ * - An empty list means the receiver has a known type that isn't a platform type (user code).
+ * - undefined means the type couldn't be resolved (`any`, parse errors), so callers fall back to heuristics.
+ */
+export type ReceiverTypeResolver = (memberStart: number) => string[][] | undefined;
+
+// Lib names whose BCD data lives under a different interface.
+const TYPE_ALIASES: Record<string, string> = {
+  ReadonlyArray: 'Array',
+  NodeListOf: 'NodeList',
+  Int8Array: 'TypedArray',
+  Uint8Array: 'TypedArray',
+  Uint8ClampedArray: 'TypedArray',
+  Int16Array: 'TypedArray',
+  Uint16Array: 'TypedArray',
+  Int32Array: 'TypedArray',
+  Uint32Array: 'TypedArray',
+  Float16Array: 'TypedArray',
+  Float32Array: 'TypedArray',
+  Float64Array: 'TypedArray',
+  BigInt64Array: 'TypedArray',
+  BigUint64Array: 'TypedArray',
+};
+
+const COMPILER_OPTIONS = {
+  lib: ['lib.esnext.d.ts', 'lib.dom.d.ts', 'lib.dom.iterable.d.ts'],
+  allowJs: true,
+  noEmit: true,
+  skipLibCheck: true,
+  types: [] as string[],
+};
+
+function directoryOf(fileName: string): string {
+  return fileName.replace(/[\\/][^\\/]*$/, '');
+}
+
+let tsModule: typeof ts | undefined;
+// The default lib files are large and never change, so they are parsed once and shared by every program.
+const libSourceFiles = new Map<string, ts.SourceFile>();
+
+/**
+ * Loads the `typescript` package on first use, so scans that don't need it don't pay for loading it.
+ * @returns The module, or undefined if it isn't installed.
+ */
+export async function loadTypeScript(): Promise<typeof ts | undefined> {
+  if (!tsModule) {
+    try {
+      tsModule = (await import('typescript')).default;
+    } catch (e) {
+      return undefined;
+    }
+  }
+  return tsModule;
+}
+
+/**
+ * Builds a TypeScript program for a single file and returns a resolver for member receiver types.
+ * @param content The file content (may be unsaved editor content).
+ * @param fileName The path of the file. Relative imports are resolved from it when it exists on disk.
+ * @returns The resolver, or undefined if the `typescript` package can't be loaded.
+ */
+export async function createReceiverTypeResolver(content: string, fileName: string): Promise<ReceiverTypeResolver | undefined> {
+  const tsc = await loadTypeScript();
+  if (!tsc) {
+    console.warn('[type-checker] The typescript package is not available, falling back to heuristic member detection.');
+    return undefined;
+  }
+
+  const options: ts.CompilerOptions = {
+    ...COMPILER_OPTIONS,
+    target: tsc.ScriptTarget.ESNext,
+    module: tsc.ModuleKind.ESNext,
+    moduleResolution: tsc.ModuleResolutionKind.Bundler,
+    jsx: tsc.JsxEmit.Preserve,
+  };
+  const scannedFile = tsc.sys.resolvePath(fileName);
+  const host = tsc.createCompilerHost(options, true);
+  const libDirectory = directoryOf(host.getDefaultLibFileName(options));
+  const getSourceFile = host.getSourceFile;
+  host.getSourceFile = (requested, languageVersion, onError, shouldCreate) => {
+    if (tsc.sys.resolvePath(requested) === scannedFile) {
+      return tsc.createSourceFile(requested, content, languageVersion, true);
+    }
+    const isLib = directoryOf(requested) === libDirectory;
+    if (isLib && libSourceFiles.has(requested)) {
+      return libSourceFiles.get(requested);
+    }
+    const sourceFile = getSourceFile.call(host, requested, languageVersion, onError, shouldCreate);
+    if (isLib && sourceFile) {
+      libSourceFiles.set(requested, sourceFile);
+    }
+    return sourceFile;
+  };
+  const fileExists = host.fileExists;
+  host.fileExists = requested => tsc.sys.resolvePath(requested) === scannedFile || fileExists.call(host, requested);
+
+  const program = tsc.createProgram([scannedFile], options, host);
+  const sourceFile = program.getSourceFile(scannedFile);
+  if (!sourceFile) {
+    return undefined;
+  }
+  const checker = program.getTypeChecker();
+
+  const receivers = new Map<number, ts.Expression>();
+  const visit = (node: ts.Node) => {
+    if (tsc.isPropertyAccessExpression(node)) {
+      receivers.set(node.name.getStart(sourceFile), node.expression);
+    }
+    tsc.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+
+  const isPlatformDeclaration = (symbol: ts.Symbol) =>
+    (symbol.declarations || []).some(declaration => program.isSourceFileDefaultLibrary(declaration.getSourceFile()));
+
+  const interfaceChain = (type: ts.Type): string[] => {
+    const chain: string[] = [];
+    const queue = [type];
+    while (queue.length > 0) {
+      const current = queue.shift()!;
+      const symbol = current.getSymbol();
+      if (!symbol || !isPlatformDeclaration(symbol)) continue;
+      const name = TYPE_ALIASES[symbol.getName()] || symbol.getName();
+      if (!chain.includes(name)) chain.push(name);
+      // Array<number> is a reference to the generic Array interface, which owns the base types.
+      const declared = (current as ts.TypeReference).target || current;
+      if (declared.isClassOrInterface()) {
+        queue.push(...checker.getBaseTypes(declared));
+      }
+    }
+    return chain;
+  };
+
+  const cache = new Map<number, string[][] | undefined>();
+  return (memberStart: number) => {
+    if (cache.has(memberStart)) {
+      return cache.get(memberStart);
+    }
+    let result: string[][] | undefined;
+    const receiver = receivers.get(memberStart);
+    if (receiver) {
+      const type = checker.getTypeAtLocation(receiver);
+      if (!(type.flags & (tsc.TypeFlags.Any | tsc.TypeFlags.Unknown))) {
+        const members = type.isUnion() ? type.types : [type];
+        result = members
+          .filter(member => !(member.flags & (tsc.TypeFlags.Undefined | tsc.TypeFlags.Null)))
+          // Primitives resolve to their wrapper interface: string -> String.
+          .map(member => interfaceChain(checker.getApparentType(member)))
+          .filter(chain => chain.length > 0);
+      }
+    }
+    cache.set(memberStart, result);
+    return result;
+  };
+}
@@ -0,0 +1,20 @@
+// Runs against the build output: `pnpm build` first.
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveFeatureIdentity } = require('../dist/index.js');
+
+test('resolves a BCD key directly under its category to its feature', () => {
+  assert.deepStrictEqual(resolveFeatureIdentity('api.ResizeObserver'), {
+    bcdKey: 'api.ResizeObserver',
+    webFeatureId: 'resize-observer',
+    webstatusId: 'resize-observer',
+  });
+});
+
+test('resolves a BCD key web-features does not list through its closest listed parent', () => {
+  assert.strictEqual(resolveFeatureIdentity('api.ResizeObserver.not_a_real_member').webFeatureId, 'resize-observer');
+});
+
+test('leaves category keys without a feature', () => {
+  assert.deepStrictEqual(resolveFeatureIdentity('css.properties'), { bcdKey: 'css.properties' });
+});
@@ -1,11 +1,12 @@
 import * as vscode from 'vscode';
-import { scanCode, Finding, getRemediation, Fix } from 'baseline-fixer-core';
+import { scanCode, Finding, getRemediation, Fix, isIssue } from 'baseline-fixer-core';
 import { FixProvider } from './FixProvider';
 import { setupGitHubAction, promptGitHubActionSetup } from './github-setup';
 import { importCIResults, showDownloadInstructions, fixAllFromCI } from './import-results';
 import { startGitHubAutoSync, stopGitHubAutoSync, enableAutoSync } from './github-auto-sync';
 import { openBaselineSentinelPanel } from './webview-panel';
 import { generateWorkspaceReport } from './workspace-report';
+import { getScanOptions } from './scan-options';
 
 let diagnosticCollection: vscode.DiagnosticCollection;
 // Store the latest findings for the hover provider
@@ -14,6 +15,8 @@ let latestFindings: Map<string, Finding[]> = new Map();
 let debounceTimer: NodeJS.Timeout;
 // Output channel for logging
 export let outputChannel: vscode.OutputChannel;
+// Scan errors already shown. An invalid targets setting or browserslist config fails every scan, and is reported once.
+const shownScanErrors = new Set<string>();
 
 
 export async function activate(context: vscode.ExtensionContext) {
@@ -28,7 +31,7 @@ export async function activate(context: vscode.ExtensionContext) {
   diagnosticCollection = vscode.languages.createDiagnosticCollection('baselineSentinel');
   context.subscriptions.push(diagnosticCollection);
 
-  const supportedLanguages = ['css', 'javascript', 'typescript', 'typescriptreact', 'html'];
+  const supportedLanguages = ['css', 'scss', 'sass', 'less', 'javascript', 'typescript', 'typescriptreact', 'html', 'vue', 'svelte', 'astro'];
 
   // Run the scanner on the active editor when the extension is activated.
   if (vscode.window.activeTextEditor) {
@@ -242,7 +245,7 @@ export async function activate(context: vscode.ExtensionContext) {
  * @param document The document to analyze.
  */
 async function updateDiagnostics(document: vscode.TextDocument): Promise<void> {
-  const supportedLanguages = ['css', 'javascript', 'typescript', 'typescriptreact', 'html'];
+  const supportedLanguages = ['css', 'scss', 'sass', 'less', 'javascript', 'typescript', 'typescriptreact', 'html', 'vue', 'svelte', 'astro'];
   console.log(`[extension] updateDiagnostics called for ${document.languageId} file: ${document.uri.fsPath}`);
   if (!supportedLanguages.includes(document.languageId)) {
     console.log(`[extension] Language ${document.languageId} not supported, skipping`);
@@ -250,7 +253,18 @@ async function updateDiagnostics(document: vscode.TextDocument): Promise<void> {
   }
   console.log(`[extension] Scanning document: ${document.uri.fsPath}`);
 
-  const findings = await scanCode(document.getText(), document.languageId as any); // Allow 'any' here as core handles it
+  let findings: Finding[];
+  try {
+    findings = await scanCode(document.getText(), document.languageId as any, await getScanOptions(document.uri.scheme === 'file' ? document.uri.fsPath : undefined)); // Allow 'any' here as core handles it
+  } catch (error) {
+    const message = (error as Error).message;
+    outputChannel.appendLine(`❌ ${message}`);
+    if (!shownScanErrors.has(message)) {
+      shownScanErrors.add(message);
+      vscode.window.showWarningMessage(`Baseline Sentinel: ${message}`);
+    }
+    return;
+  }
   console.log(`[extension] Found ${findings.length} issues for ${document.languageId} file.`);
   
   // Store findings for the hover provider
@@ -279,7 +293,13 @@ function findingToDiagnostic(finding: Finding): vscode.Diagnostic {
 
   console.log(`[extension] Creating diagnostic for '${finding.featureId}' at line ${finding.line}, col ${finding.column}, range: ${startLine}:${startCol} to ${endLine}:${endCol}`);
 
-  const diagnostic = new vscode.Diagnostic(range, finding.message, vscode.DiagnosticSeverity.Warning);
+  // Heuristic matches are shown, but less prominently than findings the scanner is sure about.
+  // Guarded uses (a matching @supports or JS feature detection) are progressive enhancement and only shown as hints,
+  // like features the build rewrites for the targets.
+  const severity = !isIssue(finding)
+    ? vscode.DiagnosticSeverity.Hint
+    : finding.confidence === 'low' ? vscode.DiagnosticSeverity.Information : vscode.DiagnosticSeverity.Warning;
+  const diagnostic = new vscode.Diagnostic(range, finding.message, severity);
   diagnostic.code = finding.fixId; // Store the fixId for our Quick Fix provider later.
   diagnostic.source = 'Baseline Sentinel';
 
@@ -0,0 +1,27 @@
+import * as vscode from 'vscode';
+import { ScanOptions, Confidence, getFileScanOptions, resolveTarget } from 'baseline-fixer-core';
+
+/**
+ * Builds the core scanner options from the extension settings. Files on disk get their project's
+ * browserslist targets and build toolchain (see getFileScanOptions).
+ * @param filePath The file being scanned, if it exists on disk.
+ * @throws If the targets setting or the browserslist config is invalid.
+ */
+export async function getScanOptions(filePath?: string): Promise<ScanOptions> {
+  const config = vscode.workspace.getConfiguration('baseline-sentinel');
+  const options: ScanOptions = {
+    typeAware: config.get<boolean>('typeAware', false),
+    minConfidence: config.get<Confidence>('minConfidence', 'low'),
+  };
+
+  const targets = config.get<string>('targets', '').trim();
+  if (targets) {
+    try {
+      resolveTarget(targets);
+    } catch (e) {
+      throw new Error(`Invalid baseline-sentinel.targets setting: ${(e as Error).message}`);
+    }
+    options.targets = targets;
+  }
+  return filePath ? (await getFileScanOptions(filePath, options)).options : options;
+}
@@ -1,4 +1,6 @@
 import * as vscode from 'vscode';
+import { formatAffectedShare } from 'baseline-fixer-core';
+import { getLastAudienceImpact } from './workspace-report';
 
 let currentPanel: vscode.WebviewPanel | undefined = undefined;
 
@@ -50,6 +52,7 @@ export function openBaselineSentinelPanel(context: vscode.ExtensionContext) {
           break;
         case 'generateReport':
           await vscode.commands.executeCommand('baseline.generateWorkspaceReport');
+          await sendStatusUpdate(currentPanel!);
           break;
         case 'saveOpenAIKey':
           await handleSaveOpenAIKey(message.apiKey);
@@ -106,6 +109,7 @@ async function sendStatusUpdate(panel: vscode.WebviewPanel) {
   const autoReportEnabled = config.get('autoSendReportOnSave', false);
   const hasOpenAIKey = !!config.get<string>('openaiApiKey');
   const useOpenAIReports = config.get('useOpenAIReports', true);
+  const impact = getLastAudienceImpact();
 
   panel.webview.postMessage({
     type: 'statusUpdate',
@@ -118,6 +122,11 @@ async function sendStatusUpdate(panel: vscode.WebviewPanel) {
       hasOpenAIKey,
       useOpenAIReports,
       workspaceName: vscode.workspace.name || 'No workspace',
+      audienceImpact: impact ? {
+        summary: `${formatAffectedShare(impact.affectedShare)} of sessions`,
+        usageSource: impact.usageSource,
+        topFeatures: impact.features.slice(0, 3).map(feature => `${feature.featureId} (${formatAffectedShare(feature.affectedShare)})`),
+      } : null,
     },
   });
 }
@@ -499,6 +508,10 @@ function getWebviewContent(context: vscode.ExtensionContext): string {
           <span class="badge error">Not Configured</span>
         </span>
       </div>
+      <div class="status-row">
+        <span class="status-label">Users Affected</span>
+        <span class="status-value" id="audience-status">Generate a report to estimate</span>
+      </div>
     </div>
 
     <div class="section">
@@ -733,6 +746,14 @@ function getWebviewContent(context: vscode.ExtensionContext): string {
         openaiStatus.innerHTML = '<span class="badge error">Not Configured</span>';
       }
 
+      // Update users affected (from the last workspace report)
+      const audienceStatus = document.getElementById('audience-status');
+      if (data.audienceImpact) {
+        audienceStatus.textContent = data.audienceImpact.summary;
+        audienceStatus.title = 'Based on ' + data.audienceImpact.usageSource +
+          (data.audienceImpact.topFeatures.length > 0 ? '. Top features: ' + data.audienceImpact.topFeatures.join(', ') : '');
+      }
+
       // Update OpenAI toggle status
       const openaiToggleStatus = document.getElementById('openai-toggle-status');
       const toggleBtn = document.getElementById('toggle-openai-btn');
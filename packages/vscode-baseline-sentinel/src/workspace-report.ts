@@ -7,10 +7,28 @@ import * as vscode from 'vscode';
 import * as path from 'path';
 import * as fs from 'fs';
 import * as https from 'https';
-import { scanCode, Finding } from 'baseline-fixer-core';
+import {
+  scanCode,
+  Finding,
+  CssSyntax,
+  SfcLanguage,
+  resolveTarget,
+  isIssue,
+  getFeatureSupport,
+  summarizeCompatibility,
+  CodebaseCompatibility,
+  FeatureSupport,
+  UsageData,
+  getGlobalUsage,
+  parseUsageData,
+  getAffectedShare,
+  formatAffectedShare,
+} from 'baseline-fixer-core';
+import { getScanOptions } from './scan-options';
 
 interface FileReport {
   path: string;
+  targetQuery: string; // The file's targets, see resolveTarget
   findings: Finding[];
 }
 
@@ -20,12 +38,31 @@ interface ScanResults {
   totalFiles: number;
 }
 
+/**
+ * Share of sessions the features of the last workspace report break for, shown on the dashboard.
+ */
+export interface AudienceImpact {
+  affectedShare: number; // Sessions missing at least one feature, in percent
+  usageSource: string;
+  features: { featureId: string; affectedShare: number }[]; // Sorted by share, highest first
+  generatedAt: string;
+}
+
+let lastAudienceImpact: AudienceImpact | undefined;
+
+/**
+ * Returns the audience impact of the last workspace report, if one was generated in this session.
+ */
+export function getLastAudienceImpact(): AudienceImpact | undefined {
+  return lastAudienceImpact;
+}
+
 /**
  * Find all supported files in workspace
  */
 function findSupportedFiles(rootPath: string): string[] {
   const results: string[] = [];
-  const extensions = ['.css', '.js', '.ts', '.tsx', '.jsx', '.html'];
+  const extensions = ['.css', '.scss', '.sass', '.less', '.js', '.ts', '.tsx', '.jsx', '.html', '.vue', '.svelte', '.astro'];
   const excludeDirs = ['node_modules', '.git', 'dist', 'build', 'coverage', '.next', 'out'];
 
   function walk(dir: string) {
@@ -58,12 +95,14 @@ function findSupportedFiles(rootPath: string): string[] {
 /**
  * Get language from file extension
  */
-function getLanguageFromPath(filePath: string): 'css' | 'javascript' | 'typescript' | 'typescriptreact' | 'html' | null {
+function getLanguageFromPath(filePath: string): CssSyntax | 'javascript' | 'typescript' | 'typescriptreact' | 'html' | SfcLanguage | null {
   const ext = path.extname(filePath);
   if (ext === '.css') return 'css';
+  if (ext === '.scss' || ext === '.sass' || ext === '.less') return ext.slice(1) as CssSyntax;
   if (ext === '.html') return 'html';
   if (ext === '.ts' || ext === '.tsx') return ext === '.tsx' ? 'typescriptreact' : 'typescript';
   if (ext === '.js' || ext === '.jsx') return 'javascript';
+  if (ext === '.vue' || ext === '.svelte' || ext === '.astro') return ext.slice(1) as SfcLanguage;
   return null;
 }
 
@@ -104,12 +143,13 @@ export async function scanWorkspace(): Promise<ScanResults> {
 
       try {
         const content = fs.readFileSync(filePath, 'utf-8');
-        const findings = await scanCode(content, language);
+        const options = await getScanOptions(filePath);
+        const findings = await scanCode(content, language, options);
 
         if (findings.length > 0) {
           const relativePath = path.relative(rootPath, filePath);
-          results.fileReports.push({ path: relativePath, findings });
-          results.totalIssues += findings.length;
+          results.fileReports.push({ path: relativePath, targetQuery: resolveTarget(options.targets).query, findings });
+          results.totalIssues += findings.filter(isIssue).length;
         }
       } catch (error) {
         console.error(`[Workspace Report] Error scanning ${filePath}:`, error);
@@ -260,8 +300,13 @@ OUTPUT: A beautifully formatted markdown report that's both professional and vis
 
 /**
  * Generate comprehensive compatibility report
+ * @param audienceImpact The sessions-affected estimate. Defaults to one from the `usageData` setting.
  */
-export async function generateCompatibilityReport(scanResults: ScanResults, openaiApiKey?: string): Promise<{ markdown: string; json: any }> {
+export async function generateCompatibilityReport(
+  scanResults: ScanResults,
+  openaiApiKey?: string,
+  audienceImpact: AudienceImpact = calculateAudienceImpact(scanResults, getUsageData())
+): Promise<{ markdown: string; json: any }> {
   const workspaceFolders = vscode.workspace.workspaceFolders;
   if (!workspaceFolders) {
     throw new Error('No workspace folder open');
@@ -270,7 +315,7 @@ export async function generateCompatibilityReport(scanResults: ScanResults, open
   console.log('[Workspace Report] Generating comprehensive compatibility report...');
   
   // Generate the base report with all data
-  const baseReport = generateDetailedMarkdownReport(scanResults);
+  const baseReport = generateDetailedMarkdownReport(scanResults, audienceImpact);
   
   let finalReport = baseReport;
   
@@ -289,6 +334,8 @@ export async function generateCompatibilityReport(scanResults: ScanResults, open
   
   const json = {
     scanResults,
+    compatibility: calculateCompatibilityScores(scanResults),
+    audienceImpact,
     enhanced: !!openaiApiKey,
     generatedAt: new Date().toISOString()
   };
@@ -297,30 +344,70 @@ export async function generateCompatibilityReport(scanResults: ScanResults, open
 }
 
 /**
- * Calculate estimated browser compatibility scores
+ * Calculate browser compatibility scores from the bundled compat data: for each feature found,
+ * which browsers support it in the versions the file's targets require
  */
-function calculateCompatibilityScores(results: ScanResults): {
-  overall: number;
-  chrome: number;
-  firefox: number;
-  safari: number;
-  edge: number;
-} {
-  if (results.totalIssues === 0) {
-    return { overall: 100, chrome: 100, firefox: 100, safari: 100, edge: 100 };
+function calculateCompatibilityScores(results: ScanResults): CodebaseCompatibility {
+  return summarizeCompatibility(Array.from(collectFeatureSupport(results).values()));
+}
+
+/**
+ * Looks up the support of each issue's feature, per target ("featureId|targetQuery" -> support).
+ */
+function collectFeatureSupport(results: ScanResults): Map<string, FeatureSupport | undefined> {
+  const supports = new Map<string, FeatureSupport | undefined>();
+  for (const fileReport of results.fileReports) {
+    for (const finding of fileReport.findings) {
+      if (!isIssue(finding)) continue;
+      const key = `${finding.featureId}|${fileReport.targetQuery}`;
+      if (!supports.has(key)) {
+        supports.set(key, getFeatureSupport(finding.featureId, fileReport.targetQuery));
+      }
+    }
   }
+  return supports;
+}
 
-  // Simple estimation: each issue reduces compatibility
-  // This is a rough estimate; in CI with Web Platform API, we get real data
-  const baseScore = 100;
-  const penalty = Math.min(results.totalIssues * 2, 40); // Max 40% penalty
-  
+/**
+ * Load the browser usage to estimate affected sessions with: the analytics export set in
+ * `baseline-sentinel.usageData` (relative to the workspace root), or caniuse global usage
+ */
+function getUsageData(): UsageData {
+  const usageDataPath = vscode.workspace.getConfiguration('baseline-sentinel').get<string>('usageData', '').trim();
+  if (!usageDataPath) {
+    return getGlobalUsage();
+  }
+
+  const rootPath = vscode.workspace.workspaceFolders?.[0].uri.fsPath;
+  const filePath = rootPath ? path.resolve(rootPath, usageDataPath) : usageDataPath;
+  try {
+    return parseUsageData(fs.readFileSync(filePath, 'utf-8'), path.basename(filePath));
+  } catch (error: any) {
+    console.error(`[Workspace Report] Failed to read usage data from ${filePath}:`, error.message);
+    vscode.window.showWarningMessage(`Could not read usage data from ${usageDataPath}: ${error.message}. Using global usage instead.`);
+    return getGlobalUsage();
+  }
+}
+
+/**
+ * Estimate the share of sessions each feature, and all of them together, would break for
+ */
+function calculateAudienceImpact(results: ScanResults, usage: UsageData): AudienceImpact {
+  const supports = collectFeatureSupport(results);
+  const features = new Map<string, number>();
+  for (const [key, support] of supports) {
+    // Support versions don't depend on the targets, so one entry per feature is enough.
+    const featureId = key.slice(0, key.lastIndexOf('|'));
+    if (!features.has(featureId)) {
+      features.set(featureId, getAffectedShare([support], usage));
+    }
+  }
   return {
-    overall: Math.max(baseScore - penalty, 50),
-    chrome: Math.max(baseScore - penalty + 10, 60),
-    firefox: Math.max(baseScore - penalty - 5, 50),
-    safari: Math.max(baseScore - penalty - 10, 45),
-    edge: Math.max(baseScore - penalty + 10, 60)
+    affectedShare: getAffectedShare(Array.from(supports.values()), usage),
+    usageSource: usage.source,
+    features: Array.from(features, ([featureId, affectedShare]) => ({ featureId, affectedShare }))
+      .sort((a, b) => b.affectedShare - a.affectedShare),
+    generatedAt: new Date().toISOString(),
   };
 }
 
@@ -328,9 +415,10 @@ function calculateCompatibilityScores(results: ScanResults): {
  * Generate detailed markdown report with all findings
  * This is the base report that OpenAI will enhance
  */
-function generateDetailedMarkdownReport(results: ScanResults): string {
+function generateDetailedMarkdownReport(results: ScanResults, audience: AudienceImpact): string {
   const now = new Date().toISOString().split('T')[0];
   const compat = calculateCompatibilityScores(results);
+  const featureShares = new Map(audience.features.map(feature => [feature.featureId, feature.affectedShare]));
   
   let report = `# 🛡️ Baseline Sentinel - Browser Compatibility Report\n\n`;
   report += `**Generated:** ${now}\n`;
@@ -370,7 +458,8 @@ function generateDetailedMarkdownReport(results: ScanResults): string {
   report += `└─ Edge:     ${'█'.repeat(Math.floor(compat.edge / 5))}${'░'.repeat(20 - Math.floor(compat.edge / 5))} ${compat.edge}%\n`;
   report += `\`\`\`\n\n`;
   
-  report += `*Note: Scores are estimates. For precise browser compatibility data, run scans via GitHub Actions with Web Platform API integration.*\n\n`;
+  report += `*Note: Scores are the share of found features each browser supports in the versions your targets require, computed from the bundled web-features data.*\n\n`;
+  report += `**Users affected:** together, the features found break for ${formatAffectedShare(audience.affectedShare)} of sessions, based on ${audience.usageSource}.\n\n`;
 
   // Summary section
   report += `## 📊 Summary\n\n`;
@@ -401,12 +490,12 @@ function generateDetailedMarkdownReport(results: ScanResults): string {
     .slice(0, 10);
 
   report += `### Top Compatibility Issues\n\n`;
-  report += `| Feature | Files Affected | Total Occurrences | Impact |\n`;
-  report += `|---------|----------------|-------------------|--------|\n`;
+  report += `| Feature | Files Affected | Total Occurrences | Sessions Affected | Impact |\n`;
+  report += `|---------|----------------|-------------------|-------------------|--------|\n`;
   
   sortedFeatures.forEach(([featureId, data]) => {
     const impact = data.files.size > 3 ? '🔴 High' : data.files.size > 1 ? '🟡 Medium' : '🟢 Low';
-    report += `| \`${featureId}\` | ${data.files.size} | ${data.count} | ${impact} |\n`;
+    report += `| \`${featureId}\` | ${data.files.size} | ${data.count} | ${formatAffectedShare(featureShares.get(featureId) ?? 0)} | ${impact} |\n`;
   });
   report += `\n`;
 
@@ -477,6 +566,8 @@ export async function generateWorkspaceReport() {
   try {
     // Scan workspace
     const results = await scanWorkspace();
+    const audienceImpact = calculateAudienceImpact(results, getUsageData());
+    lastAudienceImpact = audienceImpact;
 
     if (results.totalIssues === 0) {
       vscode.window.showInformationMessage(
@@ -513,7 +604,7 @@ export async function generateWorkspaceReport() {
       title: shouldUseOpenAI ? 'Generating AI-enhanced report...' : 'Generating standard report...',
       cancellable: false
     }, async () => {
-      return await generateCompatibilityReport(results, shouldUseOpenAI ? openaiApiKey : undefined);
+      return await generateCompatibilityReport(results, shouldUseOpenAI ? openaiApiKey : undefined, audienceImpact);
     });
 
     // Save report
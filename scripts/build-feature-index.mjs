@@ -0,0 +1,23 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Runs after `tsc -b`, from the compiled core, so the index is built by the same code that reads it.
+const CORE_DIST = path.resolve(__dirname, '../packages/baseline-fixer-core/dist');
+const OUTPUT_PATH = path.join(CORE_DIST, 'feature-index.json');
+
+function buildIndex() {
+  const require = createRequire(import.meta.url);
+  const { buildFeatureIndex } = require(path.join(CORE_DIST, 'feature-index.js'));
+  const index = buildFeatureIndex();
+
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(index), 'utf8');
+  const size = Math.round(fs.statSync(OUTPUT_PATH).size / 1024);
+  console.log(`Built feature index with ${Object.keys(index.keys).length} BCD keys (${index.statuses.length} distinct statuses, ${size} KB) at ${OUTPUT_PATH}`);
+}
+
+buildIndex();